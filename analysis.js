@@ -0,0 +1,215 @@
+/**
+ * Represents the outcome of analysing the language of a DFA
+ */
+class LanguageAnalysis {
+  /**
+   * Creates a new LanguageAnalysis
+   * @param {boolean} empty - Whether the DFA accepts no string at all
+   * @param {boolean} finite - Whether the DFA accepts finitely many strings
+   * @param {string[][]} accepted - Shortest accepted strings in shortlex order
+   * @param {string[][]} rejected - Shortest rejected strings in shortlex order
+   * @param {bigint[]} counts - Number of accepted strings of each length, indexed by length
+   */
+  constructor(empty, finite, accepted, rejected, counts) {
+    this.empty = empty;
+    this.finite = finite;
+    this.accepted = accepted;
+    this.rejected = rejected;
+    this.counts = counts;
+  }
+}
+
+/**
+ * Finds the states from which a wanted state can be reached, the wanted
+ * states included
+ * @param {NFA} dfa - Input DFA
+ * @param {function(string): boolean} isWanted - Test for the wanted states
+ * @returns {Set<string>} Co-reachable states
+ */
+function coReachableStates(dfa, isWanted) {
+  const sources = new Map();
+  dfa.states.forEach(state => {
+    dfa.alphabet.forEach(symbol => {
+      const target = dfaTarget(dfa, state, symbol);
+      if (!sources.has(target)) sources.set(target, []);
+      sources.get(target).push(state);
+    });
+  });
+
+  const found = dfa.states.filter(isWanted);
+  const seen = new Set(found);
+
+  // Breadth-first search backwards from the wanted states
+  for (let i = 0; i < found.length; i++) {
+    (sources.get(found[i]) || []).forEach(state => {
+      if (!seen.has(state)) {
+        seen.add(state);
+        found.push(state);
+      }
+    });
+  }
+
+  return seen;
+}
+
+/**
+ * Checks whether the transitions between the given states contain a cycle,
+ * with an iterative depth-first search
+ * @param {NFA} dfa - Input DFA
+ * @param {Set<string>} states - States to consider, transitions leaving them are ignored
+ * @returns {boolean} True if a cycle is found
+ */
+function hasCycle(dfa, states) {
+  // Unvisited states are missing, 1 marks states on the current path, 2 finished ones
+  const color = new Map();
+
+  for (const start of states) {
+    if (color.has(start)) continue;
+
+    const stack = [{ state: start, next: 0 }];
+    color.set(start, 1);
+
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+
+      if (top.next === dfa.alphabet.length) {
+        color.set(top.state, 2);
+        stack.pop();
+        continue;
+      }
+
+      const target = dfaTarget(dfa, top.state, dfa.alphabet[top.next++]);
+      if (!states.has(target)) continue;
+      if (color.get(target) === 1) return true;
+
+      if (!color.has(target)) {
+        color.set(target, 1);
+        stack.push({ state: target, next: 0 });
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Decides whether a DFA accepts finitely many strings: the language is
+ * infinite exactly when a state that is both reachable and co-reachable
+ * lies on a cycle
+ * @param {NFA} dfa - Input DFA
+ * @returns {boolean} True if the language is finite
+ */
+function isFiniteLanguage(dfa) {
+  const reachable = removeUnreachableStates(dfa).states;
+  const coReachable = coReachableStates(dfa, s => isFinalState(dfa, s));
+  const useful = new Set(reachable.filter(s => coReachable.has(s)));
+
+  return !hasCycle(dfa, useful);
+}
+
+/**
+ * Lists the shortest strings leading to a wanted state, in shortlex order.
+ * Strings are built one length at a time, only through states that can
+ * still end in a wanted state with the remaining length, so the search
+ * never explores prefixes that lead nowhere.
+ * @param {NFA} dfa - Input DFA, complete like the output of generateDFA()
+ * @param {number} count - Number of strings wanted
+ * @param {function(string): boolean} isWanted - Test for the states the strings must end in
+ * @returns {string[][]} Up to count strings, as arrays of symbols
+ */
+function shortestWords(dfa, count, isWanted) {
+  const alphabet = dfa.alphabet.slice().sort();
+  const live = coReachableStates(dfa, isWanted);
+  const words = [];
+
+  if (count <= 0 || !live.has(dfa.initialState)) return words;
+
+  // Without a cycle through reachable live states, no string is longer than
+  // the number of states
+  const reachable = new Set(removeUnreachableStates(dfa).states);
+  const unbounded = hasCycle(dfa, new Set(Array.from(live).filter(s => reachable.has(s))));
+
+  // finishing[k] holds the states that end in a wanted state after exactly k symbols
+  const finishing = [new Set(dfa.states.filter(isWanted))];
+
+  for (let length = 0; words.length < count && (unbounded || length < dfa.states.length); length++) {
+    while (finishing.length <= length) {
+      const previous = finishing[finishing.length - 1];
+      finishing.push(new Set(dfa.states.filter(s =>
+        alphabet.some(symbol => previous.has(dfaTarget(dfa, s, symbol)))
+      )));
+    }
+
+    if (!finishing[length].has(dfa.initialState)) continue;
+
+    const stack = [{ state: dfa.initialState, word: [] }];
+    while (stack.length > 0 && words.length < count) {
+      const { state, word } = stack.pop();
+
+      if (word.length === length) {
+        words.push(word);
+        continue;
+      }
+
+      // Pushed in reverse so the smallest symbol is taken first
+      for (let i = alphabet.length - 1; i >= 0; i--) {
+        const target = dfaTarget(dfa, state, alphabet[i]);
+        if (finishing[length - word.length - 1].has(target)) {
+          stack.push({ state: target, word: [...word, alphabet[i]] });
+        }
+      }
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Counts the accepted strings of every length up to a bound
+ * @param {NFA} dfa - Input DFA
+ * @param {number} maxLength - Longest length counted
+ * @returns {bigint[]} Number of accepted strings, indexed by length
+ */
+function countWordsByLength(dfa, maxLength) {
+  const counts = [];
+  let paths = new Map([[dfa.initialState, 1n]]);
+
+  for (let length = 0; length <= maxLength; length++) {
+    let accepted = 0n;
+    paths.forEach((n, state) => {
+      if (isFinalState(dfa, state)) accepted += n;
+    });
+    counts.push(accepted);
+
+    const next = new Map();
+    paths.forEach((n, state) => {
+      dfa.alphabet.forEach(symbol => {
+        const target = dfaTarget(dfa, state, symbol);
+        if (target !== null) next.set(target, (next.get(target) || 0n) + n);
+      });
+    });
+    paths = next;
+  }
+
+  return counts;
+}
+
+/**
+ * Analyses the language of a DFA: emptiness, finiteness, the shortest
+ * accepted and rejected strings and the number of accepted strings per length
+ * @param {NFA} dfa - Input DFA, complete like the output of generateDFA()
+ * @param {number} count - Number of accepted and of rejected strings to list
+ * @param {number} maxLength - Longest length counted
+ * @returns {LanguageAnalysis} The analysis
+ */
+function analyzeLanguage(dfa, count, maxLength) {
+  const accepted = shortestWords(dfa, count, s => isFinalState(dfa, s));
+
+  return new LanguageAnalysis(
+    accepted.length === 0,
+    isFiniteLanguage(dfa),
+    accepted,
+    shortestWords(dfa, count, s => !isFinalState(dfa, s)),
+    countWordsByLength(dfa, maxLength)
+  );
+}
@@ -0,0 +1,124 @@
+/**
+ * Command-line NFA to DFA converter
+ *
+ * Reads an automaton as JSON from a file or stdin and prints the equivalent
+ * DFA, or the minimal DFA with --minimize, as JSON, DOT or a text table.
+ *
+ * Usage: node cli.js [file.json] [--minimize] [--format json|dot|table] [--verbose]
+ */
+const fs = require('fs');
+const path = require('path');
+const { NFA, setEngineLogger, generateDFA, minimizeDFA } = require('./engine.js');
+
+const USAGE = 'Usage: node cli.js [file.json] [--minimize] [--format json|dot|table] [--verbose]';
+
+/**
+ * Output formats and the function that renders each of them
+ * @type {Object<string, function(NFA): string>}
+ */
+const FORMATTERS = {
+  json: automaton => JSON.stringify(automaton, null, 2),
+  dot: automaton => automaton.toDotString(),
+  table: automaton => formatTextTable(automaton)
+};
+
+/**
+ * Parses the command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{file: string|null, minimize: boolean, format: string, verbose: boolean, help: boolean}} Parsed options
+ */
+function parseArgs(args) {
+  const options = { file: null, minimize: false, format: 'json', verbose: false, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--minimize' || arg === '-m') {
+      options.minimize = true;
+    } else if (arg === '--verbose' || arg === '-v') {
+      options.verbose = true;
+    } else if (arg === '--format' || arg === '-f') {
+      options.format = args[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (!arg.startsWith('-') && options.file === null) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  if (!(options.format in FORMATTERS)) {
+    throw new Error(`Unknown format "${options.format}", expected one of: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Formats the transition table of a DFA as aligned plain text, marking the
+ * initial state with -> and final states with *
+ * @param {NFA} dfa - The DFA to format
+ * @returns {string} Text table
+ */
+function formatTextTable(dfa) {
+  const markers = dfa.states.map(state =>
+    (state === dfa.initialState ? '->' : '  ') +
+    (dfa.finalStates.includes(dfa.formatDotState(state)) ? '*' : ' ')
+  );
+  const rows = [
+    ['', ...dfa.transitionTableHeader()],
+    ...dfa.transitionTableRows().map((row, i) => [markers[i], ...row])
+  ];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+
+  return rows
+    .map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Reads the whole input from a file, or from stdin when no file is given
+ * @param {string|null} file - Path of the input file
+ * @returns {string} Input text
+ */
+function readInput(file) {
+  return fs.readFileSync(file === null || file === '-' ? 0 : path.resolve(file), 'utf8');
+}
+
+/**
+ * Runs the converter
+ * @param {string[]} args - Arguments after the script name
+ */
+function main(args) {
+  const options = parseArgs(args);
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Engine diagnostics go to stderr so they never mix with the output
+  if (options.verbose) {
+    setEngineLogger({ debug: console.error, log: console.error, warn: console.error });
+  }
+
+  const nfa = NFA.fromJSON(JSON.parse(readInput(options.file)));
+  let automaton = generateDFA(nfa);
+
+  if (options.minimize) {
+    automaton = minimizeDFA(automaton);
+  }
+
+  process.stdout.write(FORMATTERS[options.format](automaton) + '\n');
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
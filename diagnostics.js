@@ -0,0 +1,181 @@
+/**
+ * State names the engine uses for its own nodes
+ * @type {string[]}
+ */
+const RESERVED_STATE_NAMES = ['TRAP', 'INITIAL_STATE'];
+
+/**
+ * Characters that cannot appear in a state name: braces mark DFA subsets
+ * and commas separate target states
+ * @type {string[]}
+ */
+const FORBIDDEN_STATE_CHARACTERS = ['{', '}', ','];
+
+/**
+ * Represents a problem found in the user's automaton
+ */
+class Diagnostic {
+  /**
+   * Creates a new Diagnostic
+   * @param {string} severity - 'error' stops the conversion, 'warning' does not
+   * @param {string} message - Description of the problem
+   * @param {number[]} rows - Indexes of the transition rows involved
+   */
+  constructor(severity, message, rows = []) {
+    this.severity = severity;
+    this.message = message;
+    this.rows = rows;
+  }
+}
+
+/**
+ * A transition row as typed in the form, fields already trimmed
+ * @typedef {Object} TransitionRow
+ * @property {string} state - Current state, may be empty
+ * @property {string} symbol - Input symbol, empty for lambda
+ * @property {string[]} nextStates - Target states, may be empty
+ */
+
+/**
+ * Checks the typed automaton for mistakes: incomplete rows, invalid or
+ * reserved state names, initial and final states that appear in no
+ * transition, duplicate transitions, and unreachable or dead states.
+ * Transducers need no final states, so they are never dead.
+ * @param {string} initialState - The typed initial state
+ * @param {string[]} finalStates - The typed final states
+ * @param {TransitionRow[]} rows - The typed transition rows
+ * @param {boolean} transducer - Whether the automaton is a Mealy or Moore machine
+ * @returns {Diagnostic[]} Problems found, errors first
+ */
+function diagnoseAutomaton(initialState, finalStates, rows, transducer = false) {
+  const diagnostics = [];
+  const complete = [];
+
+  rows.forEach((row, i) => {
+    const filled = row.state || row.symbol || row.nextStates.length > 0;
+    if (!filled) return;
+
+    if (!row.state || row.nextStates.length === 0) {
+      const missing = !row.state ? 'current state' : 'next states';
+      diagnostics.push(new Diagnostic('warning', `Row ${i + 1} has no ${missing} and is ignored.`, [i]));
+    } else {
+      complete.push({ ...row, index: i });
+    }
+  });
+
+  if (complete.length > 0 && !initialState) {
+    diagnostics.push(new Diagnostic('error', 'Enter an initial state.'));
+  }
+
+  if (complete.length > 0 && finalStates.length === 0 && !transducer) {
+    diagnostics.push(new Diagnostic('error', 'Enter at least one final state.'));
+  }
+
+  // Every state name, with the rows it is typed in (-1 for the state fields above the rows)
+  const occurrences = new Map();
+  const addOccurrence = (state, index) => {
+    if (!occurrences.has(state)) occurrences.set(state, []);
+    if (!occurrences.get(state).includes(index)) occurrences.get(state).push(index);
+  };
+  if (initialState) addOccurrence(initialState, -1);
+  finalStates.forEach(fs => addOccurrence(fs, -1));
+  complete.forEach(row => [row.state, ...row.nextStates].forEach(s => addOccurrence(s, row.index)));
+
+  occurrences.forEach((indexes, state) => {
+    const rowIndexes = indexes.filter(i => i >= 0);
+
+    if (FORBIDDEN_STATE_CHARACTERS.some(ch => state.includes(ch))) {
+      diagnostics.push(new Diagnostic(
+        'error',
+        `State "${state}" cannot contain any of ${FORBIDDEN_STATE_CHARACTERS.join(' ')}.`,
+        rowIndexes
+      ));
+    } else if (RESERVED_STATE_NAMES.includes(state)) {
+      diagnostics.push(new Diagnostic('error', `State name "${state}" is reserved.`, rowIndexes));
+    }
+  });
+
+  if (complete.length === 0) return sortDiagnostics(diagnostics);
+
+  const usedStates = new Set();
+  complete.forEach(row => [row.state, ...row.nextStates].forEach(s => usedStates.add(s)));
+
+  if (initialState && !usedStates.has(initialState)) {
+    diagnostics.push(new Diagnostic('warning', `Initial state "${initialState}" appears in no transition.`));
+  }
+
+  finalStates
+    .filter(fs => !usedStates.has(fs))
+    .forEach(fs => {
+      diagnostics.push(new Diagnostic('warning', `Final state "${fs}" appears in no transition.`));
+    });
+
+  const seen = new Map();
+  complete.forEach(row => {
+    row.nextStates.forEach(ns => {
+      const key = JSON.stringify([row.state, row.symbol, ns]);
+      if (seen.has(key) && seen.get(key) !== row.index) {
+        const symbol = row.symbol || '\u03BB';
+        diagnostics.push(new Diagnostic(
+          'warning',
+          `Transition \u03B4(${row.state}, ${symbol}) = ${ns} is entered more than once.`,
+          [seen.get(key), row.index]
+        ));
+      } else {
+        seen.set(key, row.index);
+      }
+    });
+  });
+
+  const follow = (start, forward) => {
+    const found = [start];
+    for (let i = 0; i < found.length; i++) {
+      complete.forEach(row => {
+        const next = forward
+          ? (row.state === found[i] ? row.nextStates : [])
+          : (row.nextStates.includes(found[i]) ? [row.state] : []);
+        next.forEach(s => {
+          if (!found.includes(s)) found.push(s);
+        });
+      });
+    }
+    return found;
+  };
+
+  const rowsOf = state => complete.filter(row => row.state === state).map(row => row.index);
+
+  if (initialState) {
+    const reachable = follow(initialState, true);
+    usedStates.forEach(state => {
+      if (!reachable.includes(state)) {
+        diagnostics.push(new Diagnostic('warning', `State "${state}" is unreachable.`, rowsOf(state)));
+      }
+    });
+  }
+
+  if (transducer) return sortDiagnostics(diagnostics);
+
+  const coReachable = new Set();
+  finalStates.forEach(fs => follow(fs, false).forEach(s => coReachable.add(s)));
+  usedStates.forEach(state => {
+    if (!coReachable.has(state)) {
+      diagnostics.push(new Diagnostic(
+        'warning',
+        `State "${state}" is dead: no final state can be reached from it.`,
+        rowsOf(state)
+      ));
+    }
+  });
+
+  return sortDiagnostics(diagnostics);
+}
+
+/**
+ * Orders diagnostics so errors come before warnings
+ * @param {Diagnostic[]} diagnostics - Diagnostics to order
+ * @returns {Diagnostic[]} Ordered diagnostics
+ */
+const sortDiagnostics = diagnostics =>
+  diagnostics
+    .filter(d => d.severity === 'error')
+    .concat(diagnostics.filter(d => d.severity !== 'error'));
@@ -9,31 +9,104 @@ class UserInput {
    * @param {string[]} states - Array of all states
    * @param {string[]} alphabet - Array of input symbols
    * @param {Transition[]} transitions - Array of transitions
+   * @param {string[]} outputAlphabet - Output symbols of a Mealy or Moore machine
+   * @param {Object<string, string>} stateOutputs - Output of every state of a Moore machine
    */
-  constructor(initialState, finalStates, states, alphabet, transitions) {
+  constructor(initialState, finalStates, states, alphabet, transitions, outputAlphabet = [], stateOutputs = {}) {
     this.initialState = initialState;
     this.finalStates = finalStates;
     this.states = states;
     this.alphabet = alphabet;
     this.transitions = transitions;
+    this.outputAlphabet = outputAlphabet;
+    this.stateOutputs = stateOutputs;
   }
 }
 
 $(() => {
-  // Initially hide verification and DFA sections
-  $('#verification-section').hide();
-  $('#dfa-conversion-section').hide();
+  // Machines with more states are summarised instead of drawn, as the graph
+  // layout and the minimization tables would take too long
+  const DRAW_STATE_LIMIT = 150;
+
+  // Largest minimized DFA converted to a regular expression, as the
+  // expression can grow exponentially with the number of states
+  const REGEX_STATE_LIMIT = 30;
+
+  // Delay after the last keystroke before the automaton is converted again
+  const INPUT_DEBOUNCE_MS = 300;
+
+  // Sections that are only shown once a DFA has been generated
+  const resultSections = $(
+    '#lambda-elimination-section, #dfa-conversion-section, #dfa-minimization-section, ' +
+    '#brzozowski-section, #regex-conversion-section, #simulation-section, #analysis-section'
+  );
+
+  // Initially hide verification and result sections
+  $('#verification-section, #transducer-section').hide();
+  $('#graph-editor-help, #transition-grid, .state-legend').hide();
+  resultSections.hide();
 
   const transitionsDiv = $('#nfa-transitions');
   const removeButton = $('.remove-button');
   const verifyUpdateDebug = $('#verify-update-debug');
 
+  // Machines built by the last verification update, used by the simulator,
+  // or the Mealy or Moore machine when the form holds a transducer
+  const machines = { nfa: null, dfa: null, minDFA: null, transducer: null };
+
+  // Current string simulation and the step being shown
+  const simulation = { results: null, position: 0 };
+
+  // Subset construction of the current NFA, the number of steps shown and
+  // the playback timer
+  const construction = { stepper: null, position: 0, timer: null };
+
+  // Web Worker running the conversion (null until started, false if the page
+  // cannot run it), the number of the latest request and whether it is running
+  const conversion = { worker: null, id: 0, running: false };
+
+  // Timer of the debounced update after typing
+  let updateTimer = null;
+
+  // Graph editor: whether it is on, states added on the graph that have no
+  // transitions yet, the transition being dragged, and whether the click
+  // that ends a drag should be ignored
+  const editor = { active: false, extraStates: [], drag: null, dragEnded: false };
+
+  // Table editor: whether it is shown instead of the transition rows, and
+  // the symbols of its columns that may have no transitions yet
+  const grid = { active: false, extraSymbols: [] };
+
+  // New name of every DFA and minimized DFA state when they are renamed in
+  // breadth-first order, or null while the NFA subsets are shown
+  const stateNames = { dfa: null, minDFA: null };
+
+  // Browser storage for the workspace, null when the page may not use it
+  const storage = (() => {
+    try {
+      return window.localStorage;
+    } catch (err) {
+      return null;
+    }
+  })();
+
+  // Open automata, restored from the last visit when there is one
+  const workspace = loadWorkspace(storage) || new Workspace();
+
+  // Exercise being answered, as { automaton, statement }
+  let exercise = null;
+
+  // Saved operands and operation results, as { name, description, automaton }
+  const operands = [];
+  let operationResult = null;
+
   // Add new transition row
   $('#new-transition').click(() => {
     const clone = $('#nfa-transitions .production-row').last().clone(true);
     clone.find('input').val(''); // Clear input values in cloned row
     clone.appendTo(transitionsDiv);
     $('.remove-button').show();
+    recordEdit();
   });
 
   // Hide remove buttons initially
@@ -68,17 +141,25 @@ $(() => {
   // Auto-update on input changes
   $('.production-row input').on('keyup', (e) => {
     if (e.which !== 13) {
-      verifyUpdateDebug.click();
+      scheduleUpdate();
     }
   });
 
-  $('#initialStateInput, #finalStatesInput').on('keyup', () => {
+  $('#initialStateInput, #finalStatesInput, #stateOutputsInput').on('keyup', () => {
+    scheduleUpdate();
+  });
+
+  // Switch between an acceptor and a Mealy or Moore machine
+  $('#machineTypeInput').on('change', function () {
+    $('#state-outputs-group').toggle($(this).val() === 'moore');
     verifyUpdateDebug.click();
   });
 
   // Reset the form
   $('#resetBtn').click(() => {
-    $('#initialStateInput, #finalStatesInput').val('');
+    $('#initialStateInput, #finalStatesInput, #regexInput, #grammarInput').val('');
+    writeMachineType('acceptor', {});
+    grid.extraSymbols = [];
 
     // Remove all transition rows except first
     $('#nfa-transitions .production-row:not(:first)').remove();
@@ -88,160 +169,2211 @@ $(() => {
 
     // Hide remove button
     $('.remove-button').hide();
+    editor.extraStates = [];
 
     // Clear visualizations and hide sections
-    $('#current-nfa, #current-dfa, #current-dfa-minimized, #step-div').empty();
-    $('#verification-section').hide();
-    $('#dfa-conversion-section').hide();
+    cancelConversion();
+    stopConstructionPlayback();
+    $('#current-nfa, #lambda-free-nfa, #current-dfa, #current-dfa-minimized').empty();
+    $('#construction-narrative, #construction-worklist, #construction-position').empty();
+    $('#test-string-input, #elimination-order').val('');
+    $('#verification-section, #transducer-section').hide();
+    resultSections.hide();
 
     // Trigger verification update
     verifyUpdateDebug.click();
   });
 
+  // Step through the history of the current automaton
+  $('#undo-btn').click(() => {
+    stepHistory(edits => edits.undo());
+  });
+
+  $('#redo-btn').click(() => {
+    stepHistory(edits => edits.redo());
+  });
+
+  // Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes, except in fields
+  // outside the form, which keep their own undo
+  $(document).on('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if ($(e.target).is('input, textarea') && !$(e.target).closest('#nfa').length) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      $('#undo-btn').click();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      $('#redo-btn').click();
+    }
+  });
+
+  // Open, switch, rename and close automata
+  $('#new-tab').click(() => {
+    openTab();
+  });
+
+  $('#workspace-tabs').on('click', '.nav-link', function () {
+    const index = $(this).data('index');
+    if (index === workspace.active) return;
+
+    recordEdit();
+    workspace.active = index;
+    showActiveTab();
+  });
+
+  $('#workspace-tabs').on('dblclick', '.nav-link', function () {
+    const tab = workspace.tabs[$(this).data('index')];
+    const name = (prompt('Name of the automaton:', tab.name) || '').trim();
+    if (!name) return;
+
+    tab.name = name;
+    saveWorkspace(workspace, storage);
+    renderTabs();
+  });
+
+  $('#workspace-tabs').on('click', '.close-tab', function (e) {
+    e.stopPropagation();
+    const index = $(this).closest('.nav-link').data('index');
+    if (!confirm(`Close "${workspace.tabs[index].name}"? It cannot be reopened.`)) return;
+
+    const wasActive = index === workspace.active;
+    workspace.closeTab(index);
+    if (wasActive) {
+      showActiveTab();
+    } else {
+      saveWorkspace(workspace, storage);
+      renderTabs();
+    }
+  });
+
+  // Build the transitions from a regular expression
+  $('#regex-build').click(() => {
+    const regexInput = $('#regexInput');
+
+    try {
+      const nfa = regexToNFA(regexInput.val().trim());
+      regexInput.removeClass('is-invalid');
+      fillForm(nfa);
+    } catch (err) {
+      $('#regex-error').text(err.message);
+      regexInput.addClass('is-invalid');
+    }
+  });
+
+  $('#regexInput').on('keypress', (e) => {
+    if (e.which === 13) {
+      $('#regex-build').click();
+    }
+  });
+
+  // Build the transitions from a right-linear grammar
+  $('#grammar-build').click(() => {
+    const grammarInput = $('#grammarInput');
+
+    try {
+      const nfa = grammarToNFA(parseGrammar(grammarInput.val()));
+      grammarInput.removeClass('is-invalid');
+      fillForm(nfa);
+    } catch (err) {
+      $('#grammar-error').text(err.message);
+      grammarInput.addClass('is-invalid');
+    }
+  });
+
+  // Download the current NFA as JSON
+  $('#export-json').click(() => {
+    const userInput = fetchUserInput();
+    if (!userInput) return;
+
+    const json = JSON.stringify(serializeAutomaton(toNFA(userInput)), null, 2);
+    downloadFile('nfa.json', json, 'application/json');
+  });
+
+  // Load an NFA from a JSON, JFLAP or DOT file
+  $('#import-file').click(() => {
+    $('#import-file-input').click();
+  });
+
+  $('#import-file-input').on('change', function () {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => fillForm(parseAutomatonFile(file.name, text)))
+      .catch(err => alert(`Could not import ${file.name}: ${err.message}`));
+  });
+
+  // Download the NFA, DFA or minimized DFA as an image, DOT, TikZ, JFLAP file or grammar
+  $('.export-menu').on('click', '.dropdown-item', function () {
+    const menu = $(this).closest('.export-menu');
+    const machine = menu.data('machine');
+    const userInput = fetchUserInput();
+    if (!userInput) return;
+
+    const { automaton, legend } = machine === 'nfa'
+      ? { automaton: toNFA(userInput), legend: null }
+      : shownMachine(machine, machines[machine]);
+    const svg = $(menu.data('graph')).find('svg')[0];
+
+    switch ($(this).data('format')) {
+      case 'svg':
+        if (svg) downloadFile(`${machine}.svg`, serializeSvg(svg), 'image/svg+xml');
+        break;
+      case 'png':
+        if (svg) downloadPng(`${machine}.png`, svg);
+        break;
+      case 'dot':
+        downloadFile(`${machine}.dot`, automaton.toDotString(legend), 'text/vnd.graphviz');
+        break;
+      case 'tikz':
+        downloadFile(`${machine}.tex`, toTikZ(automaton, graphPositions(svg, automaton)), 'application/x-tex');
+        break;
+      case 'right-grammar':
+      case 'left-grammar':
+        try {
+          downloadFile(
+            `${machine}-grammar.txt`,
+            automatonToGrammar(automaton, $(this).data('format') === 'left-grammar').toString() + '\n',
+            'text/plain'
+          );
+        } catch (err) {
+          alert(`Could not write the grammar: ${err.message}`);
+        }
+        break;
+      default:
+        downloadFile(`${machine}.jff`, toJFF(automaton), 'application/xml');
+    }
+  });
+
+  // Download the DFA transition table
+  $('#table-export').on('click', '.dropdown-item', function () {
+    if (!machines.dfa) return;
+
+    const { automaton, legend } = shownMachine('dfa', machines.dfa);
+    const header = automaton.transitionTableHeader(legend);
+    const rows = automaton.transitionTableRows(true, legend);
+
+    switch ($(this).data('format')) {
+      case 'csv':
+        downloadFile('dfa-table.csv', tableToCSV([header, ...rows]), 'text/csv');
+        break;
+      case 'markdown':
+        downloadFile('dfa-table.md', tableToMarkdown(header, rows), 'text/markdown');
+        break;
+      default:
+        downloadFile('dfa-table.tex', tableToLaTeX(header, rows), 'application/x-tex');
+    }
+  });
+
+  // Copy a permalink to the current NFA
+  $('#copy-link').click(function () {
+    const button = $(this);
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      button.attr('title', 'Link copied!');
+      setTimeout(() => button.attr('title', 'Copy a link that opens this NFA'), 2000);
+    });
+  });
+
+  // Show only the inputs of the selected source for each compared automaton
+  $('.compare-source').on('change', function () {
+    const slot = $(this).closest('.compare-slot');
+    slot.find('.compare-input').hide();
+    slot.find(`.compare-input[data-source="${$(this).val()}"]`).show();
+  }).trigger('change');
+
+  // Decide whether the two automata accept the same language
+  $('#compare-button').click(() => {
+    const slots = $('.compare-slot').map(function () {
+      return readCompareAutomaton($(this));
+    }).get();
+
+    Promise.all(slots)
+      .then(([first, second]) => showEquivalence(checkEquivalence(first, second)))
+      .catch(err => {
+        $('#compare-result').empty().append(
+          $('<div class="alert alert-warning">').text(err.message)
+        );
+      });
+  });
+
+  // Show only the input of the selected exercise source
+  $('#exercise-source').on('change', function () {
+    $('.exercise-input').hide();
+    $(`.exercise-input[data-source="${$(this).val()}"]`).show();
+  }).trigger('change');
+
+  // Load the exercise and show its statement
+  $('#load-exercise').click(() => {
+    $('#grade-result').empty();
+
+    readExercise()
+      .then(loaded => {
+        exercise = loaded;
+        $('#exercise-statement').text(loaded.statement);
+        renderAnswerGrid();
+        if (loaded.automaton && $('#exercise-source').val() !== 'regex') {
+          d3.select('#exercise-nfa')
+            .graphviz()
+            .zoom(false)
+            .renderDot(loaded.automaton.toDotString());
+        } else {
+          $('#exercise-nfa').empty();
+        }
+      })
+      .catch(err => {
+        exercise = null;
+        $('#exercise-statement').empty();
+        $('#exercise-nfa').empty();
+        $('#grade-result').append(
+          $('<div class="alert alert-warning">').text(`Could not load the exercise: ${err.message}`)
+        );
+      });
+  });
+
+  // Grade the student's DFA against the exercise
+  $('#grade-answer').click(() => {
+    const resultDiv = $('#grade-result').empty();
+
+    if (!exercise) {
+      resultDiv.append($('<div class="alert alert-warning">').text('Load an exercise first.'));
+      return;
+    }
+
+    try {
+      showGrade(gradeAnswer(exercise.automaton, readAnswer()));
+    } catch (err) {
+      resultDiv.append($('<div class="alert alert-warning">').text(`Your DFA: ${err.message}`));
+    }
+  });
+
+  // The answer is typed in a table like the one of the NFA editor
+  $('#answer-initial, #answer-finals').on('change', () => {
+    renderAnswerGrid();
+  });
+
+  $('#answer-grid').on('change', '.grid-cell', () => {
+    renderAnswerGrid();
+  });
+
+  $('#answer-grid').on('change', '.grid-new-state', function () {
+    const name = $(this).val().trim();
+    if (name) renderAnswerGrid({ states: [name], symbols: [] });
+  });
+
+  $('#answer-grid').on('change', '.grid-new-symbol', function () {
+    const symbol = $(this).val().trim();
+    if (symbol && symbol !== '\u03BB') renderAnswerGrid({ states: [], symbols: [symbol] });
+  });
+
+  $('#answer-grid').on('paste', 'input', function (e) {
+    pasteIntoGrid(e, this, fillAnswer, () => renderAnswerGrid());
+  });
+
+  // Save the current NFA so it can be combined with others
+  $('#save-operand').click(() => {
+    const userInput = fetchUserInput();
+    if (!userInput) return;
+
+    addOperand('The NFA entered above', toNFA(userInput));
+  });
+
+  // Complement and star take a single operand
+  const UNARY_OPERATIONS = ['complement', 'star'];
+
+  $('#operation-type').on('change', function () {
+    $('#operation-right').toggle(!UNARY_OPERATIONS.includes($(this).val()));
+  });
+
+  // Apply the chosen operation and keep the result as a new operand
+  $('#apply-operation').click(() => {
+    const type = $('#operation-type').val();
+    const left = operands[$('#operation-left').val()];
+    const right = operands[$('#operation-right').val()];
+    if (!left || (!right && !UNARY_OPERATIONS.includes(type))) return;
+
+    let result;
+    let description;
+
+    switch (type) {
+      case 'complement':
+        result = complementAutomaton(left.automaton);
+        description = `complement of ${left.name}`;
+        break;
+      case 'star':
+        result = starAutomaton(left.automaton);
+        description = `${left.name}*`;
+        break;
+      case 'concatenation':
+        result = concatenateAutomata(left.automaton, right.automaton);
+        description = `${left.name} \u00B7 ${right.name}`;
+        break;
+      default:
+        result = productAutomaton(left.automaton, right.automaton, type);
+        description = `${left.name} ${$('#operation-type option:selected').text().split(' ')[0]} ${right.name}`;
+    }
+
+    if ($('#operation-minimize').is(':checked')) {
+      result = minimizeDFA(generateDFA(result));
+      description += ', minimized';
+    }
+
+    operationResult = addOperand(description, result);
+    $('#operation-result-title').text(`${operationResult.name} = ${description}`);
+    d3.select('#operation-result')
+      .graphviz()
+      .zoom(false)
+      .renderDot(result.toDotString());
+    $('#load-operation-result').show();
+  });
+
+  // Edit an operation result in the main form
+  $('#load-operation-result').click(() => {
+    if (operationResult) fillForm(operationResult.automaton);
+  });
+
+  // Rebuild the form when a permalink is opened in this tab
+  $(window).on('hashchange', () => {
+    loadFromHash();
+  });
+
   // Update visualization
   verifyUpdateDebug.click(() => {
+    recordEdit();
+    if (grid.active) renderGrid();
+    const diagnostics = showDiagnostics();
     const userInput = fetchUserInput();
+    clearTimeout(updateTimer);
     if (!userInput) {
-      $('#verification-section').hide();
-      $('#dfa-conversion-section').hide();
+      // Keep the section visible while there are problems to report, and
+      // draw what there is so far while editing on the graph
+      cancelConversion();
+      $('#conversion-status, #self-check-status').empty();
+      if (editor.active) {
+        renderNFAGraph(buildUserInput(readForm()));
+      } else {
+        $('#current-nfa').empty();
+      }
+      $('#verification-section').toggle(diagnostics.length > 0 || editor.active);
+      $('#transducer-section, #nfa-table').hide();
+      resultSections.hide();
+      history.replaceState(null, '', window.location.pathname + window.location.search);
       return;
     }
 
+    // Keep the URL hash in sync so the address bar is always a permalink
+    history.replaceState(null, '', encodeAutomatonHash(toNFA(userInput)));
+
     // Show verification section and generate NFA visualization
     $('#verification-section').show();
-    const nfaDot = generateNFADot(userInput);
-    d3.select('#current-nfa').graphviz().zoom(false).renderDot(nfaDot);
-
-    // Generate and visualize DFA
-    const nfa = new NFA(
-      userInput.initialState,
-      userInput.finalStates,
-      userInput.states,
-      userInput.alphabet,
-      userInput.transitions
+    renderNFAGraph(userInput);
+
+    // Transducers are run as they are, without the subset construction
+    if ($('#machineTypeInput').val() !== 'acceptor') {
+      $('#nfa-table').hide();
+      showTransducer(toNFA(userInput));
+      return;
+    }
+    $('#transducer-section').hide();
+
+    // Generate the DFA, keeping every step of the subset construction
+    const nfa = toNFA(userInput);
+    $('#nfa-transition-table').html(nfa.generateTransitionTable());
+    $('#nfa-table').show();
+    const inlineClosure = $('input[name="conversion-mode"]:checked').val() === 'inline';
+    const maxStates = parseInt($('#state-limit').val(), 10) || Infinity;
+
+    $('#conversion-status').html(
+      '<span class="spinner-border spinner-border-sm me-2"></span>Converting to a DFA\u2026 ' +
+      '<button type="button" class="btn btn-sm btn-link" id="cancel-conversion">Cancel</button>'
     );
 
-    const dfa = generateDFA(nfa);
-    if (dfa) {
-      $('#dfa-conversion-section').show();
-      updateStepButtons();
-      visualizeDFA(dfa);
+    const request = convertNFA(nfa, inlineClosure, maxStates);
+    const id = conversion.id;
+
+    request
+      .then(({ stepper, minDFA }) => {
+        if (id !== conversion.id) return;
+        $('#conversion-status').empty();
+
+        stopConstructionPlayback();
+        construction.stepper = stepper;
+        construction.position = stepper.steps.length;
+
+        const dfa = stepper.toDFA();
+        updateStateNames(dfa, minDFA);
+        resultSections.show();
+        showLambdaElimination(stepper);
+        showConstructionStep();
+
+        // Visualize the minimized DFA
+        visualizeMinimizedDFA(minDFA);
+        showMinimizationSteps(dfa);
+        showBrzozowskiMinimization(nfa, minDFA, maxStates);
+
+        // Keep untouched machines around for the string simulator
+        machines.nfa = toNFA(userInput);
+        machines.dfa = dfa;
+        machines.minDFA = minDFA;
+        machines.transducer = null;
+
+        runSimulation();
+        convertToRegex();
+        showLanguageAnalysis();
+        showSelfCheck();
+      })
+      .catch(err => {
+        if (id !== conversion.id) return;
+        $('#conversion-status').html(
+          $('<div class="alert alert-danger py-2">').text(`${err.message}. Raise the DFA state limit to convert it anyway.`)
+        );
+        $('#self-check-status').empty();
+        resultSections.hide();
+      });
+  });
+
+  // Switch the Verify graph between viewing and editing
+  $('#edit-graph').click(function () {
+    editor.active = !editor.active;
+    $(this).toggleClass('active', editor.active);
+    $('#current-nfa').toggleClass('editing', editor.active);
+    $('#graph-editor-help').toggle(editor.active);
+    hideGraphMenu();
+    verifyUpdateDebug.click();
+  });
+
+  // Show the transitions as a table of states and symbols instead of rows
+  $('#edit-grid').click(function () {
+    grid.active = !grid.active;
+    $(this).toggleClass('active', grid.active);
+    $('#nfa-transitions, #new-transition').toggle(!grid.active);
+    $('#transition-grid').toggle(grid.active);
+    if (grid.active) renderGrid();
+  });
+
+  // Write an edited cell back to the transition rows
+  $('#transition-grid').on('change', '.grid-cell', () => {
+    applyGrid();
+  });
+
+  $('#transition-grid').on('change', '.grid-new-state', function () {
+    const name = $(this).val().trim();
+    if (!name || graphStates().includes(name)) return;
+
+    editor.extraStates.push(name);
+    verifyUpdateDebug.click();
+  });
+
+  $('#transition-grid').on('change', '.grid-new-symbol', function () {
+    const symbol = $(this).val().trim();
+    if (!symbol || gridLayout().symbols.includes(symbol)) return;
+
+    grid.extraSymbols.push(symbol);
+    renderGrid();
+  });
+
+  // Paste a table, or a block of cells as in a spreadsheet
+  $('#transition-grid').on('paste', 'input', function (e) {
+    pasteIntoGrid(e, this, fillForm, applyGrid);
+  });
+
+  // Add a state by clicking the empty part of the graph
+  $('#current-nfa').on('click', (e) => {
+    if (editor.dragEnded) {
+      editor.dragEnded = false;
+      return;
+    }
+    if (!editor.active || $(e.target).closest('g.node, g.edge').length > 0) return;
+
+    const { initialState, finalStates, rows } = readForm();
+    const states = graphStates();
+    let n = states.length;
+    while (states.includes(`q${n}`)) n++;
 
-      // Generate and visualize minimized DFA
-      const minDFA = minimizeDFA(dfa);
-      visualizeMinimizedDFA(minDFA);
+    const name = (prompt('Name of the new state', `q${n}`) || '').trim();
+    if (!name || states.includes(name)) return;
+
+    editor.extraStates.push(name);
+    writeForm(initialState || name, finalStates, rows);
+  });
+
+  // Start dragging a transition from a state
+  $('#current-nfa').on('mousedown', 'g.node', function (e) {
+    const state = nodeState(this);
+    if (!editor.active || e.which !== 1 || state === null) return;
+    e.preventDefault();
+
+    const graph = $(this).closest('g.graph')[0];
+    const ellipse = $(this).find('ellipse')[0];
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    line.setAttribute('class', 'drag-line');
+    ['x1', 'x2'].forEach(a => line.setAttribute(a, ellipse.getAttribute('cx')));
+    ['y1', 'y2'].forEach(a => line.setAttribute(a, ellipse.getAttribute('cy')));
+    graph.appendChild(line);
+
+    editor.drag = { from: state, graph, line, moved: false };
+  });
+
+  $('#current-nfa').on('mousemove', (e) => {
+    if (!editor.drag) return;
+
+    const { graph, line } = editor.drag;
+    const point = graph.ownerSVGElement.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(graph.getScreenCTM().inverse());
+
+    line.setAttribute('x2', x);
+    line.setAttribute('y2', y);
+    editor.drag.moved = true;
+  });
+
+  // Finish the transition on the state the mouse is released over
+  $(document).on('mouseup', (e) => {
+    if (!editor.drag) return;
+
+    const { from, line, moved } = editor.drag;
+    editor.drag = null;
+    line.remove();
+
+    // The click that follows the drag must not add a state
+    editor.dragEnded = moved;
+    setTimeout(() => {
+      editor.dragEnded = false;
+    }, 0);
+
+    const node = $(e.target).closest('#current-nfa g.node')[0];
+    const to = node ? nodeState(node) : null;
+    if (!moved || to === null) return;
+
+    const symbol = prompt(`Symbol of the transition from ${from} to ${to} (leave empty for \u03BB)`);
+    if (symbol === null) return;
+
+    addTransitionRow(from, symbol.trim() === '\u03BB' ? '' : symbol.trim(), to);
+  });
+
+  // Offer the actions for a state or transition on right-click
+  $('#current-nfa').on('contextmenu', 'g.node, g.edge', function (e) {
+    if (!editor.active) return;
+
+    let actions;
+    if ($(this).is('g.node')) {
+      const state = nodeState(this);
+      if (state === null) return;
+
+      const { initialState, finalStates } = readForm();
+      actions = [
+        ['Make initial', () => setInitialState(state), state === initialState],
+        [finalStates.includes(state) ? 'Make non-final' : 'Make final', () => toggleFinalState(state)],
+        ['Delete state', () => deleteState(state)]
+      ];
     } else {
-      $('#dfa-conversion-section').hide();
+      const title = $(this).children('title').text();
+      if (title.startsWith('INITIAL_STATE->')) return;
+
+      // State names may contain -> themselves, so the title is matched whole
+      const states = graphStates();
+      const from = states.find(s => title.startsWith(`${s}->`) && states.includes(title.slice(s.length + 2)));
+      if (from === undefined) return;
+
+      const to = title.slice(from.length + 2);
+      actions = [['Delete transition', () => deleteTransition(from, to)]];
     }
+
+    e.preventDefault();
+    showGraphMenu(e.pageX, e.pageY, actions);
   });
 
-  // Handle step button clicks
-  $('#step-div').on('click', 'button', function () {
-    const step = $(this).data('step-number');
-    const userInput = fetchUserInput();
-    if (!userInput) return;
+  // Close the graph menu on any other click
+  $(document).on('click', (e) => {
+    if ($(e.target).closest('#graph-context-menu').length === 0) hideGraphMenu();
+  });
 
-    $(this).parent().find('button').removeClass('active');
-    $(this).addClass('active');
+  // Cross-validate the current machines on demand
+  $('#self-check, #self-check-length').on('change', () => {
+    showSelfCheck();
+  });
 
-    const nfa = new NFA(
-      userInput.initialState,
-      userInput.finalStates,
-      userInput.states,
-      userInput.alphabet,
-      userInput.transitions
-    );
+  // Analyse again with other limits
+  $('#analysis-count, #analysis-length').on('change', () => {
+    showLanguageAnalysis();
+  });
+
+  // Stop a long conversion
+  $('#conversion-status').on('click', '#cancel-conversion', () => {
+    cancelConversion();
+    $('#conversion-status').text('Conversion cancelled.');
+    resultSections.hide();
+  });
+
+  // Convert again with another state limit
+  $('#state-limit').on('change', () => {
+    verifyUpdateDebug.click();
+  });
+
+  // Convert again with the chosen treatment of lambda transitions
+  $('input[name="conversion-mode"]').change(() => {
+    verifyUpdateDebug.click();
+  });
+
+  // Re-run state elimination with the chosen order
+  $('#eliminate-states').click(() => {
+    convertToRegex();
+  });
+
+  // Show the DFA states as their NFA subsets or renamed in breadth-first order
+  $('input[name="state-naming"], #state-prefix').on('change', () => {
+    if (!machines.dfa) return;
+
+    updateStateNames(machines.dfa, machines.minDFA);
+    showConstructionStep();
+    visualizeMinimizedDFA(machines.minDFA);
+    renderSimulation();
+  });
+
+  // Move through the subset construction
+  $('#construction-first').click(() => {
+    stopConstructionPlayback();
+    goToConstructionStep(0);
+  });
+
+  $('#construction-prev').click(() => {
+    stopConstructionPlayback();
+    goToConstructionStep(construction.position - 1);
+  });
+
+  $('#construction-next').click(() => {
+    stopConstructionPlayback();
+    goToConstructionStep(construction.position + 1);
+  });
 
-    const dfa = generateDFA(nfa, step);
-    visualizeDFA(dfa);
+  $('#construction-last').click(() => {
+    stopConstructionPlayback();
+    goToConstructionStep(Infinity);
+  });
+
+  // Play the remaining steps one per second, restarting from the first
+  // step when already at the end
+  $('#construction-play').click(() => {
+    if (!construction.stepper) return;
+
+    if (construction.timer) {
+      stopConstructionPlayback();
+      return;
+    }
+
+    if (construction.position === construction.stepper.steps.length) {
+      goToConstructionStep(0);
+    }
+
+    $('#construction-play i').removeClass('fa-play').addClass('fa-pause');
+    construction.timer = setInterval(() => {
+      goToConstructionStep(construction.position + 1);
+      if (construction.position === construction.stepper.steps.length) {
+        stopConstructionPlayback();
+      }
+    }, 1000);
+  });
+
+  // Re-run the simulation as the test string is typed
+  $('#test-string-input').on('keyup', () => {
+    runSimulation();
+  });
 
-    $('#current-dfa-minimized').toggle(step === LAST_COMPLETED_STEP_COUNT + 1);
+  // Step backwards and forwards through the simulated string
+  $('#simulation-prev').click(() => {
+    if (!simulation.results) return;
+    simulation.position = Math.max(0, simulation.position - 1);
+    renderSimulation();
   });
 
+  $('#simulation-next').click(() => {
+    if (!simulation.results) return;
+    const length = (simulation.results.nfa || simulation.results.transducer).symbols.length;
+    simulation.position = Math.min(length, simulation.position + 1);
+    renderSimulation();
+  });
+
+  /**
+   * Reads the trimmed initial state, final states and transition rows from
+   * the form, with the machine type and the Moore outputs. Final states,
+   * next states and state outputs are comma-separated lists.
+   * @returns {{initialState: string, finalStates: string[], rows: TransitionRow[], machineType: string, stateOutputs: Object<string, string>}} Form values
+   */
+  const readForm = () => {
+    const splitList = value => value.split(',').map(s => s.trim()).filter(s => s);
+    const machineType = $('#machineTypeInput').val();
+
+    // Outputs are typed as state=output
+    const stateOutputs = {};
+    if (machineType === 'moore') {
+      splitList($('#stateOutputsInput').val()).forEach(entry => {
+        const [state, ...output] = entry.split('=');
+        if (state.trim()) stateOutputs[state.trim()] = output.join('=').trim();
+      });
+    }
+
+    return {
+      machineType,
+      stateOutputs,
+      initialState: $('#initialStateInput').val().trim(),
+      finalStates: splitList($('#finalStatesInput').val()),
+      rows: $('#nfa-transitions .production-row').map(function () {
+        return {
+          state: $(this).find('.current-state-input').val().trim(),
+          symbol: $(this).find('.input-symbol').val().trim(),
+          nextStates: splitList($(this).find('.next-states').val())
+        };
+      }).get()
+    };
+  };
+
   /**
    * Fetches and validates user input from the form
    * @returns {UserInput|null} The user input object or null if validation fails
    */
   const fetchUserInput = () => {
-    const initialState = $('#initialStateInput').val().trim();
-    let finalStates = $('#finalStatesInput').val().trim();
-    const states = new Set();
-    const alphabet = new Set();
-    const transitions = [];
+    const form = readForm();
+    const transducer = form.machineType !== 'acceptor';
+    const diagnostics = diagnoseAutomaton(form.initialState, form.finalStates, form.rows, transducer);
 
-    if (!initialState || !finalStates) return null;
+    if (!form.initialState || (form.finalStates.length === 0 && !transducer)) return null;
+    if (diagnostics.some(d => d.severity === 'error')) return null;
 
-    if (initialState.includes('{') || finalStates.includes('{')) {
-      alert('State names cannot contain the "{" character!');
-      return null;
-    }
+    const userInput = buildUserInput(form);
+    return userInput.transitions.length > 0 ? userInput : null;
+  };
 
-    $('.production-row').each(function () {
-      const currentState = $(this).find('.current-state-input').val().trim();
-      let inputSymbol = $(this).find('.input-symbol').val().trim() || '\u03BB';
-      const nextState = $(this).find('.next-states').val().trim();
+  /**
+   * Builds the user input from the form as it is, without validating it.
+   * The symbol of a Mealy transition is followed by its output, as in a/1.
+   * @param {Object} form - Output of readForm()
+   * @returns {UserInput} The user input, with the states added on the graph
+   */
+  const buildUserInput = ({ initialState, finalStates, rows, machineType, stateOutputs }) => {
+    const states = new Set();
+    const alphabet = new Set();
+    const outputAlphabet = new Set(Object.values(stateOutputs));
+    const transitions = [];
 
-      if (!currentState || !nextState) return null;
+    rows.forEach(({ state, symbol, nextStates }) => {
+      // Incomplete rows are reported by the diagnostics and skipped here
+      if (!state || nextStates.length === 0) return;
 
-      if (currentState.includes('{') || nextState.includes('{')) {
-        alert('State names cannot contain the "{" character!');
-        return null;
+      let output = null;
+      const slash = symbol.lastIndexOf('/');
+      if (machineType === 'mealy' && slash >= 0) {
+        output = symbol.slice(slash + 1).trim();
+        symbol = symbol.slice(0, slash).trim();
+        outputAlphabet.add(output);
       }
 
-      transitions.push(new Transition(currentState, nextState, inputSymbol));
+      // A symbol class such as a-z stands for one transition per symbol
+      expandSymbolClass(symbol || '\u03BB').forEach(inputSymbol => {
+        transitions.push(new Transition(state, nextStates, inputSymbol, output));
 
-      if (inputSymbol !== '\u03BB') {
-        alphabet.add(inputSymbol);
-      }
-      states.add(currentState).add(nextState);
+        if (inputSymbol !== '\u03BB') {
+          alphabet.add(inputSymbol);
+        }
+      });
+      states.add(state);
+      nextStates.forEach(nextState => states.add(nextState));
     });
 
-    if (transitions.length === 0) return null;
-
-    finalStates = finalStates.includes(',') ? finalStates.split(',') : finalStates;
+    editor.extraStates.forEach(state => states.add(state));
 
     return new UserInput(
       initialState,
       finalStates,
       Array.from(states),
       Array.from(alphabet),
-      transitions
+      transitions,
+      Array.from(outputAlphabet),
+      stateOutputs
     );
   };
 
   /**
-   * Generates DOT string for NFA visualization
-   * @param {UserInput} userInput - The user input object
-   * @returns {string} DOT format string
+   * Lists the problems found in the form in the NFA status area and marks
+   * the transition rows involved
+   * @returns {Diagnostic[]} The problems found
    */
-  const generateNFADot = (userInput) => {
-    let dot = 'digraph fsm {\n';
-    dot += 'rankdir=LR;\n';
-    dot += 'size="8,5";\n';
-    dot += `node [shape = doublecircle]; ${userInput.finalStates};\n`;
-    dot += 'node [shape = point]; INITIAL_STATE\n';
-    dot += 'node [shape = circle];\n';
-    dot += `INITIAL_STATE -> ${userInput.initialState};\n`;
+  const showDiagnostics = () => {
+    const { initialState, finalStates, rows, machineType } = readForm();
+    const diagnostics = diagnoseAutomaton(initialState, finalStates, rows, machineType !== 'acceptor');
+    const rowElements = $('#nfa-transitions .production-row');
+
+    rowElements.removeAttr('title').find('input').removeClass('is-invalid is-warning');
 
-    userInput.transitions.forEach(({ state, nextStates, symbol }) => {
-      dot += `${state} -> ${nextStates} [label=${symbol}];\n`;
+    diagnostics.forEach(({ severity, message, rows: rowIndexes }) => {
+      rowIndexes.forEach(i => {
+        const row = rowElements.eq(i);
+        const title = row.attr('title');
+        row.attr('title', title ? `${title}\n${message}` : message);
+        row.find('input').addClass(severity === 'error' ? 'is-invalid' : 'is-warning');
+      });
     });
 
-    return dot + '}';
+    const list = $('<ul class="list-unstyled mb-2" id="nfa-diagnostics">');
+    diagnostics.forEach(({ severity, message }) => {
+      const icon = severity === 'error' ? 'fa-times-circle text-danger' : 'fa-exclamation-triangle text-warning';
+      list.append($('<li>').text(message).prepend(`<i class="fas ${icon} me-2"></i>`));
+    });
+    $('#current-nfa-status').empty().append(diagnostics.length > 0 ? list : null);
+
+    return diagnostics;
   };
 
   /**
-   * Updates step buttons based on last completed step
+   * Creates an NFA from the user input
+   * @param {UserInput} userInput - The user input object
+   * @returns {NFA} The NFA described by the form
    */
-  const updateStepButtons = () => {
-    const stepDiv = $('#step-div');
-    stepDiv.empty();
+  const toNFA = (userInput) => new NFA(
+    userInput.initialState,
+    userInput.finalStates,
+    userInput.states,
+    userInput.alphabet,
+    userInput.transitions,
+    userInput.outputAlphabet,
+    userInput.stateOutputs
+  );
 
-    for (let i = 0; i <= LAST_COMPLETED_STEP_COUNT; i++) {
-      stepDiv.append(
-        `<button class="btn btn-xs btn-outline-info" data-step-number="${i + 1}">Step ${i + 1}</button>`
-      );
-    }
+  /**
+   * Offers a text file for download
+   * @param {string} fileName - Suggested file name
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   */
+  const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = $('<a>').attr({ href: url, download: fileName }).appendTo('body');
+    link[0].click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Serializes a rendered graph as a standalone SVG document
+   * @param {SVGSVGElement} svg - The rendered graph
+   * @returns {string} SVG source
+   */
+  const serializeSvg = (svg) => {
+    const copy = svg.cloneNode(true);
+    copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    return new XMLSerializer().serializeToString(copy);
+  };
+
+  /**
+   * Rasterizes a rendered graph at twice its size and downloads it as PNG
+   * @param {string} fileName - Name of the downloaded file
+   * @param {SVGSVGElement} svg - The rendered graph
+   */
+  const downloadPng = (fileName, svg) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => downloadFile(fileName, blob, 'image/png'));
+    };
+
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(serializeSvg(svg))}`;
+  };
+
+  /**
+   * Reads the position graphviz gave every state of an automaton
+   * @param {SVGSVGElement|undefined} svg - The rendered graph
+   * @param {NFA} automaton - The automaton drawn in it
+   * @returns {Map<string, {x: number, y: number}>|undefined} Positions, or undefined unless every state is drawn
+   */
+  const graphPositions = (svg, automaton) => {
+    if (!svg) return undefined;
+
+    const positions = new Map();
+    const names = new Map(automaton.states.map(s => [automaton.formatDotState(s), s]));
+
+    $(svg).find('g.node').each(function () {
+      const state = names.get($(this).children('title').text());
+      const ellipse = $(this).find('ellipse').first();
+      if (state !== undefined && ellipse.length > 0) {
+        positions.set(state, { x: Number(ellipse.attr('cx')), y: Number(ellipse.attr('cy')) });
+      }
+    });
+
+    return positions.size === automaton.states.length ? positions : undefined;
+  };
+
+  /**
+   * Stores an automaton as an operand and lists it in the operand menus
+   * @param {string} description - What the automaton is
+   * @param {NFA} automaton - The automaton
+   * @returns {{name: string, description: string, automaton: NFA}} The new operand
+   */
+  const addOperand = (description, automaton) => {
+    const operand = { name: `M${operands.length + 1}`, description, automaton };
+    operands.push(operand);
+
+    const option = `<option value="${operands.length - 1}">${operand.name}: ${description}</option>`;
+    $('#operation-left, #operation-right').append(option);
+    $('#operation-left').val(operands.length - 1);
+
+    return operand;
+  };
+
+  /**
+   * Parses an imported file according to its extension
+   * @param {string} fileName - Name of the file
+   * @param {string} text - Content of the file
+   * @returns {NFA} The imported automaton
+   */
+  const parseAutomatonFile = (fileName, text) => {
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    if (extension === 'jff') return parseJFF(text);
+    if (extension === 'dot' || extension === 'gv') return parseDot(text);
+    if (extension === 'csv' || extension === 'tsv') return parseTransitionTable(text);
+    return deserializeAutomaton(JSON.parse(text));
+  };
+
+  /**
+   * Reads one of the automata to compare from its selected source
+   * @param {jQuery} slot - The .compare-slot element
+   * @returns {Promise<NFA>} The automaton
+   */
+  const readCompareAutomaton = (slot) => {
+    const name = slot.find('h6').text();
+
+    return Promise.resolve().then(() => {
+      switch (slot.find('.compare-source').val()) {
+        case 'form': {
+          const userInput = fetchUserInput();
+          if (!userInput) throw new Error(`${name}: the NFA above is incomplete`);
+          return toNFA(userInput);
+        }
+        case 'text': {
+          const finalStates = slot.find('.compare-finals').val()
+            .split(',')
+            .map(s => s.trim())
+            .filter(s => s);
+          return parseTransitionList(
+            slot.find('.compare-initial').val().trim(),
+            finalStates,
+            slot.find('.compare-transitions').val()
+          );
+        }
+        case 'regex':
+          return regexToNFA(slot.find('.compare-regex').val().trim());
+        case 'file': {
+          const file = slot.find('.compare-file')[0].files[0];
+          if (!file) throw new Error(`${name}: choose a file to compare`);
+          return file.text().then(text => parseAutomatonFile(file.name, text));
+        }
+        default:
+          throw new Error(`${name}: unknown source`);
+      }
+    }).catch(err => {
+      throw new Error(err.message.startsWith(name) ? err.message : `${name}: ${err.message}`);
+    });
+  };
+
+  /**
+   * Lists the final states typed for the answer
+   * @returns {string[]} The final states
+   */
+  const answerFinalStates = () => $('#answer-finals').val()
+    .split(',')
+    .map(s => s.trim())
+    .filter(s => s);
+
+  /**
+   * Draws the table the answer is typed in: the initial state first, then
+   * the states already on the table and those typed in its cells, with a
+   * column for every symbol of the exercise and any symbol added. A DFA
+   * has no lambda column.
+   * @param {{states: string[], symbols: string[]}} added - States and symbols to add to the table
+   */
+  const renderAnswerGrid = (added = { states: [], symbols: [] }) => {
+    const container = $('#answer-grid');
+    const drawn = container.data('layout') ? JSON.parse(container.data('layout')) : { states: [], symbols: [] };
+    const initialState = $('#answer-initial').val().trim();
+    const finalStates = answerFinalStates();
+    const { rows } = readGridCells(container);
+
+    const states = initialState ? [initialState] : [];
+    addAll(states, drawn.states);
+    rows.forEach(({ nextStates }) => addAll(states, nextStates));
+    addAll(states, finalStates);
+    addAll(states, added.states);
+
+    const symbols = exercise ? exercise.automaton.alphabet.slice() : [];
+    addAll(symbols, drawn.symbols);
+    addAll(symbols, added.symbols);
+
+    drawTransitionGrid(container, { states, symbols }, initialState, finalStates, rows);
+  };
+
+  /**
+   * Replaces the answer with an automaton, such as a pasted transition table
+   * @param {NFA} source - The automaton to load into the answer
+   */
+  const fillAnswer = (source) => {
+    if (source.transitions.some(t => t.symbol === '\u03BB')) {
+      throw new Error('A DFA has no \u03BB transitions');
+    }
+
+    // The table does not allow subset names such as {q0,q1}
+    const automaton = flattenSubsetNames(source);
+    const rows = automaton.transitions.map(({ state, nextStates, symbol }) => ({ state, symbol, nextStates }));
+
+    $('#answer-initial').val(automaton.initialState);
+    $('#answer-finals').val(automaton.finalStates.join(','));
+    $('#answer-grid').removeData('layout');
+    drawTransitionGrid(
+      $('#answer-grid'),
+      { states: automaton.states, symbols: automaton.alphabet },
+      automaton.initialState,
+      automaton.finalStates,
+      rows
+    );
+
+    // Columns for the symbols of the exercise that the table left out
+    renderAnswerGrid();
+  };
+
+  /**
+   * Builds the DFA typed as the answer. Its alphabet is the columns of the
+   * table, so that an empty cell counts as a missing transition.
+   * @returns {NFA} The answer
+   */
+  const readAnswer = () => {
+    const initialState = $('#answer-initial').val().trim();
+    if (!initialState) {
+      throw new Error('Expected an initial state');
+    }
+
+    const finalStates = answerFinalStates();
+    const { rows } = readGridCells($('#answer-grid'));
+    const { states: tableStates, symbols } = JSON.parse($('#answer-grid').data('layout'));
+    const states = [initialState];
+    addAll(states, tableStates);
+    rows.forEach(({ nextStates }) => addAll(states, nextStates));
+    addAll(states, finalStates);
+
+    return new NFA(
+      initialState,
+      finalStates,
+      states,
+      symbols,
+      rows.map(({ state, symbol, nextStates }) => new Transition(state, nextStates, symbol || '\u03BB'))
+    );
+  };
+
+  /**
+   * Reads the exercise from its selected source. A URL may point to a file
+   * or be a permalink to this page.
+   * @returns {Promise<{automaton: NFA, statement: string}>} The exercise
+   */
+  const readExercise = () => Promise.resolve().then(() => {
+    switch ($('#exercise-source').val()) {
+      case 'regex': {
+        const pattern = $('#exercise-regex').val().trim();
+        return {
+          automaton: regexToNFA(pattern),
+          statement: `Build a DFA accepting the language of ${pattern}.`
+        };
+      }
+      case 'form': {
+        const userInput = fetchUserInput();
+        if (!userInput) throw new Error('The NFA above is incomplete');
+        return { automaton: toNFA(userInput), statement: 'Build a DFA equivalent to this NFA.' };
+      }
+      case 'file': {
+        const file = $('#exercise-file')[0].files[0];
+        if (!file) throw new Error('Choose the exercise file');
+        return file.text().then(text => ({
+          automaton: parseAutomatonFile(file.name, text),
+          statement: 'Build a DFA equivalent to this NFA.'
+        }));
+      }
+      case 'url': {
+        const url = new URL($('#exercise-url').val().trim(), window.location.href);
+        const linked = decodeAutomatonHash(url.hash);
+        if (linked) return { automaton: linked, statement: 'Build a DFA equivalent to this NFA.' };
+
+        return fetch(url)
+          .then(response => {
+            if (!response.ok) throw new Error(`${url} answered ${response.status} ${response.statusText}`);
+            return response.text();
+          })
+          .then(text => ({
+            automaton: parseAutomatonFile(url.pathname, text),
+            statement: 'Build a DFA equivalent to this NFA.'
+          }));
+      }
+      default:
+        throw new Error('Unknown exercise source');
+    }
+  });
+
+  /**
+   * Shows the score of a graded answer and the feedback of every check
+   * @param {GradeReport} report - The grade
+   */
+  const showGrade = (report) => {
+    const titles = {
+      deterministic: 'Deterministic',
+      complete: 'Complete',
+      equivalent: 'Accepts the right language',
+      minimal: 'Minimal',
+      isomorphic: 'Matches the minimal DFA'
+    };
+    const percent = Math.round((100 * report.score) / report.maxScore);
+    const resultDiv = $('#grade-result').empty();
+
+    resultDiv.append(
+      $('<h5>').text(`Score: ${report.score} / ${report.maxScore}`),
+      $('<div class="progress mb-3">').append(
+        $(`<div class="progress-bar ${percent === 100 ? 'bg-success' : 'bg-warning'}">`).css('width', `${percent}%`)
+      )
+    );
+
+    const list = $('<ul class="list-group">');
+    report.items.forEach(item => {
+      const entry = $('<li class="list-group-item">').append(
+        $(`<i class="fas ${item.passed ? 'fa-check text-success' : 'fa-times text-danger'} me-2">`),
+        $('<strong>').text(titles[item.check]),
+        $('<span class="text-muted ms-2">').text(`${item.points} / ${item.maxPoints}`)
+      );
+      const feedback = $('<ul class="mb-0 small">');
+      item.feedback.forEach(text => feedback.append($('<li>').text(text)));
+      list.append(entry.append(feedback));
+    });
+    resultDiv.append(list);
+  };
+
+  /**
+   * Shows the verdict of a language comparison
+   * @param {EquivalenceResult} result - The comparison result
+   */
+  const showEquivalence = (result) => {
+    const resultDiv = $('#compare-result').empty();
+
+    if (result.equivalent) {
+      resultDiv.append(
+        $('<div class="alert alert-success">').text('Both automata accept the same language.')
+      );
+      return;
+    }
+
+    const word = result.counterexample.length > 0 ? result.counterexample.join('') : '\u03BB';
+    const [accepting, rejecting] = result.acceptedBy === 0 ? ['A', 'B'] : ['B', 'A'];
+    resultDiv.append(
+      $('<div class="alert alert-danger">').text(
+        `The languages differ: "${word}" is accepted by automaton ${accepting} ` +
+        `but rejected by automaton ${rejecting}.`
+      )
+    );
+  };
+
+  /**
+   * Cross-validates the NFA, DFA and minimized DFA when the self-check is
+   * on, and shows a warning banner with the strings they disagree on and the
+   * broken invariants. Like the analysis, it runs on the page, so it is
+   * skipped for DFAs too large to draw.
+   */
+  const showSelfCheck = () => {
+    const status = $('#self-check-status').empty();
+    if (!$('#self-check').is(':checked') || !machines.dfa) return;
+
+    if (machines.dfa.states.length > DRAW_STATE_LIMIT) {
+      status.append($('<p class="text-muted">').text(`Not checked for more than ${DRAW_STATE_LIMIT} states.`));
+      return;
+    }
+
+    const maxLength = Math.min(20, Math.max(0, parseInt($('#self-check-length').val(), 10) || 0));
+    const report = selfCheck(
+      { NFA: machines.nfa, DFA: machines.dfa, 'Minimized DFA': machines.minDFA },
+      maxLength
+    );
+
+    if (report.passed) {
+      status.append($('<div class="alert alert-success py-2">').text(
+        `Self-check passed: ${report.checked} strings agree and both DFAs are complete and deterministic.`
+      ));
+      return;
+    }
+
+    const banner = $('<div class="alert alert-warning py-2">')
+      .append($('<strong>').text('Self-check failed.'));
+    const list = $('<ul class="mb-0">');
+
+    report.problems.forEach(problem => list.append($('<li>').text(problem)));
+    report.mismatches.slice(0, 10).forEach(({ word, verdicts }) => {
+      const verdictText = Object.entries(verdicts)
+        .map(([name, accepted]) => `${name} ${accepted ? 'accepts' : 'rejects'}`)
+        .join(', ');
+      list.append($('<li>').text(`"${word.length > 0 ? word.join('') : '\u03BB'}": ${verdictText}`));
+    });
+    if (report.mismatches.length > 10) {
+      list.append($('<li>').text(`\u2026 and ${report.mismatches.length - 10} more strings`));
+    }
+
+    status.append(banner.append(list));
+  };
+
+  /**
+   * Reports whether the language of the DFA is empty, finite or infinite,
+   * its shortest accepted and rejected strings and how many strings of each
+   * length it accepts. Like the graphs, it is only shown for DFAs small
+   * enough to draw, as it runs on the page.
+   */
+  const showLanguageAnalysis = () => {
+    if (!machines.dfa) return;
+
+    if (machines.dfa.states.length > DRAW_STATE_LIMIT) {
+      $('#analysis-verdict').html(
+        `<p class="text-muted">Not analysed for more than ${DRAW_STATE_LIMIT} states.</p>`
+      );
+      $('#analysis-accepted, #analysis-rejected, #analysis-counts').empty();
+      return;
+    }
+
+    const clamp = (selector, max) => Math.min(max, Math.max(0, parseInt($(selector).val(), 10) || 0));
+    const count = clamp('#analysis-count', 100);
+    const maxLength = clamp('#analysis-length', 64);
+    const analysis = analyzeLanguage(machines.dfa, count, maxLength);
+    const formatWord = word => (word.length > 0 ? word.join('') : '\u03BB');
+
+    let verdict;
+    if (analysis.empty) {
+      verdict = $('<div class="alert alert-warning py-2">').text('The language is empty: no string is accepted.');
+    } else if (analysis.finite) {
+      // No accepted string of a finite language is longer than the number of states
+      const total = countWordsByLength(machines.dfa, machines.dfa.states.length).reduce((a, b) => a + b, 0n);
+      verdict = $('<div class="alert alert-info py-2">').text(`The language is finite: it has ${total} strings.`);
+    } else {
+      verdict = $('<div class="alert alert-success py-2">').text('The language is infinite.');
+    }
+    $('#analysis-verdict').empty().append(verdict);
+
+    [['#analysis-accepted', analysis.accepted], ['#analysis-rejected', analysis.rejected]].forEach(([selector, words]) => {
+      const list = $(selector).empty();
+      words.forEach(word => list.append($('<li>').text(formatWord(word))));
+      if (words.length === 0) list.append('<li class="text-muted">None</li>');
+    });
+
+    let tableHtml = '<table class="table table-bordered table-sm"><thead><tr>' +
+      '<th>Length</th><th>Accepted</th></tr></thead><tbody>';
+    analysis.counts.forEach((n, length) => {
+      tableHtml += `<tr><td>${length}</td><td>${n}</td></tr>`;
+    });
+    tableHtml += '</tbody></table>';
+    $('#analysis-counts').html(tableHtml);
+  };
+
+  /**
+   * Loads the automaton encoded in the URL hash into the form, if any
+   */
+  const loadFromHash = () => {
+    try {
+      const automaton = decodeAutomatonHash(window.location.hash);
+      if (automaton) {
+        openTab('Shared link');
+        fillForm(automaton);
+      }
+    } catch (err) {
+      alert(`Could not open the link: ${err.message}`);
+    }
+  };
+
+  /**
+   * Fills the input form with the transitions of an automaton, one row per
+   * state and symbol, and refreshes the visualizations
+   * @param {NFA} source - The automaton to load into the form
+   */
+  const fillForm = (source) => {
+    // The form does not allow subset names such as {q0,q1}
+    const automaton = flattenSubsetNames(source);
+    grid.extraSymbols = [];
+
+    // One row per state and symbol, with all of its targets. Mealy outputs
+    // are typed after the symbol.
+    const rows = [];
+    automaton.transitions.forEach(({ state, nextStates, label: symbol }) => {
+      const row = rows.find(r => r.state === state && r.symbol === symbol);
+      if (row) {
+        nextStates.forEach(ns => {
+          if (!row.nextStates.includes(ns)) row.nextStates.push(ns);
+        });
+      } else {
+        rows.push({ state, symbol, nextStates: nextStates.slice() });
+      }
+    });
+
+    // States without transitions can only be kept on the graph
+    const used = new Set([automaton.initialState, ...automaton.finalStates]);
+    rows.forEach(({ state, nextStates }) => [state, ...nextStates].forEach(s => used.add(s)));
+    editor.extraStates = automaton.states.filter(s => !used.has(s));
+
+    writeMachineType(automaton.machineType, automaton.stateOutputs);
+    writeForm(automaton.initialState, automaton.finalStates, rows);
+  };
+
+  /**
+   * Sets the machine type and the Moore outputs in the form, without
+   * refreshing the visualizations
+   * @param {string} machineType - 'acceptor', 'mealy' or 'moore'
+   * @param {Object<string, string>} stateOutputs - Output of every state of a Moore machine
+   */
+  const writeMachineType = (machineType, stateOutputs) => {
+    $('#machineTypeInput').val(machineType);
+    $('#stateOutputsInput').val(
+      Object.entries(stateOutputs).map(([state, output]) => `${state}=${output}`).join(',')
+    );
+    $('#state-outputs-group').toggle(machineType === 'moore');
+  };
+
+  /**
+   * Replaces the contents of the form and refreshes the visualizations
+   * @param {string} initialState - The initial state
+   * @param {string[]} finalStates - The final states
+   * @param {TransitionRow[]} rows - The transition rows
+   */
+  const writeForm = (initialState, finalStates, rows) => {
+    $('#initialStateInput').val(initialState);
+    $('#finalStatesInput').val(finalStates.join(','));
+
+    // Keep the first row as a template, since clones carry its handlers
+    $('#nfa-transitions .production-row:not(:first)').remove();
+    const template = $('#nfa-transitions .production-row:first');
+    template.find('input').val('');
+
+    rows.forEach(({ state, symbol, nextStates }, i) => {
+      const row = i === 0 ? template : template.clone(true).appendTo(transitionsDiv);
+      row.find('.current-state-input').val(state);
+      row.find('.input-symbol').val(symbol === '\u03BB' ? '' : symbol);
+      row.find('.next-states').val(nextStates.join(','));
+    });
+
+    $('.remove-button').toggle(rows.length > 1);
+    verifyUpdateDebug.click();
+  };
+
+  /**
+   * Generates DOT string for NFA visualization. The form may still be
+   * incomplete while editing on the graph, so the initial and final states
+   * are optional.
+   * @param {UserInput} userInput - The user input object
+   * @returns {string} DOT format string
+   */
+  const generateNFADot = (userInput) => {
+    let dot = 'digraph fsm {\n';
+    dot += 'rankdir=LR;\n';
+    dot += 'size="8,5";\n';
+    if (userInput.finalStates.length > 0) {
+      dot += `node [shape = doublecircle]; ${userInput.finalStates.map(quoteDot).join(' ')};\n`;
+    }
+    if (userInput.initialState) {
+      dot += 'node [shape = point]; INITIAL_STATE\n';
+    }
+    dot += 'node [shape = circle];\n';
+    if (userInput.initialState) {
+      dot += `INITIAL_STATE -> ${quoteDot(userInput.initialState)};\n`;
+    }
+
+    // Every state, so those without transitions, e.g. just added on the graph, are drawn too
+    userInput.states.forEach(state => {
+      dot += `${quoteDot(state)};\n`;
+    });
+
+    // Moore outputs are shown in the state labels
+    Object.entries(userInput.stateOutputs).forEach(([state, output]) => {
+      if (userInput.states.includes(state)) {
+        dot += `${quoteDot(state)} [label=${quoteDot(`${state}/${output}`)}];\n`;
+      }
+    });
+
+    // Transitions between the same states share one edge
+    groupEdgeLabels(userInput.transitions).forEach(({ state, nextState, labels }) => {
+      dot += `${quoteDot(state)} -> ${quoteDot(nextState)} [label=${quoteDot(combineSymbolLabels(labels))}];\n`;
+    });
+
+    return dot + '}';
+  };
+
+  /**
+   * Draws the NFA in the Verify section
+   * @param {UserInput} userInput - The NFA to draw
+   */
+  const renderNFAGraph = (userInput) => {
+    d3.select('#current-nfa')
+      .graphviz()
+      .zoom(false)
+      .on('end', highlightSimulation)
+      .renderDot(generateNFADot(userInput));
+  };
+
+  /**
+   * Lists every state of the form, including those added on the graph
+   * @returns {string[]} State names
+   */
+  const graphStates = () => {
+    const { initialState, finalStates, rows } = readForm();
+    const states = new Set(editor.extraStates);
+    if (initialState) states.add(initialState);
+    finalStates.forEach(s => states.add(s));
+    rows.forEach(({ state, nextStates }) => {
+      if (state) states.add(state);
+      nextStates.forEach(s => states.add(s));
+    });
+    return Array.from(states);
+  };
+
+  /**
+   * Finds the state drawn by a graph node
+   * @param {Element} node - A g.node element of the Verify graph
+   * @returns {string|null} The state, or null for the initial state marker
+   */
+  const nodeState = (node) => {
+    const state = $(node).children('title').text();
+    return state === 'INITIAL_STATE' ? null : state;
+  };
+
+  /**
+   * Adds a target to the row of a state and symbol, creating the row if needed
+   * @param {string} from - Current state
+   * @param {string} symbol - Input symbol, empty for lambda
+   * @param {string} to - Next state
+   */
+  const addTransitionRow = (from, symbol, to) => {
+    const { initialState, finalStates, rows } = readForm();
+    const filled = rows.filter(r => r.state || r.symbol || r.nextStates.length > 0);
+    const row = filled.find(r => r.state === from && r.symbol === symbol);
+
+    if (row) {
+      if (!row.nextStates.includes(to)) row.nextStates.push(to);
+    } else {
+      filled.push({ state: from, symbol, nextStates: [to] });
+    }
+
+    editor.extraStates = editor.extraStates.filter(s => s !== from && s !== to);
+    writeForm(initialState, finalStates, filled);
+  };
+
+  /**
+   * Removes the edge between two states: the target is dropped from every
+   * row of the current state, and rows left without targets are removed.
+   * The states themselves are kept.
+   * @param {string} from - Current state
+   * @param {string} to - Next state to remove
+   */
+  const deleteTransition = (from, to) => {
+    const { initialState, finalStates, rows } = readForm();
+    rows
+      .filter(r => r.state === from)
+      .forEach(r => {
+        r.nextStates = r.nextStates.filter(s => s !== to);
+      });
+
+    // Both states stay on the graph, even without transitions
+    [from, to].forEach(s => {
+      if (!editor.extraStates.includes(s)) editor.extraStates.push(s);
+    });
+
+    writeForm(initialState, finalStates, rows.filter(r => r.state !== from || r.nextStates.length > 0));
+  };
+
+  /**
+   * Removes a state along with every transition from or to it
+   * @param {string} state - The state to remove
+   */
+  const deleteState = (state) => {
+    const { initialState, finalStates, rows } = readForm();
+    const kept = rows
+      .filter(r => r.state !== state)
+      .map(r => ({ ...r, nextStates: r.nextStates.filter(s => s !== state) }))
+      .filter(r => !r.state || r.nextStates.length > 0);
+
+    editor.extraStates = editor.extraStates.filter(s => s !== state);
+    writeForm(
+      initialState === state ? '' : initialState,
+      finalStates.filter(s => s !== state),
+      kept
+    );
+  };
+
+  /**
+   * Lists the rows and columns of the table editor: the initial state
+   * first, then the states in the order they are typed, and the typed
+   * symbols, lambda last
+   * @returns {{states: string[], symbols: string[]}} States and symbols of the table
+   */
+  const gridLayout = () => {
+    const { initialState, finalStates, rows } = readForm();
+    const states = initialState ? [initialState] : [];
+    rows.forEach(({ state }) => {
+      if (state) addAll(states, [state]);
+    });
+    rows.forEach(({ nextStates }) => addAll(states, nextStates));
+    addAll(states, finalStates);
+    addAll(states, editor.extraStates);
+
+    const symbols = [];
+    rows.forEach(({ symbol }) => {
+      if (symbol && symbol !== '\u03BB') addAll(symbols, [symbol]);
+    });
+    addAll(symbols, grid.extraSymbols);
+
+    return { states, symbols: [...symbols, '\u03BB'] };
+  };
+
+  /**
+   * Draws the table editor from the transition rows
+   */
+  const renderGrid = () => {
+    const { initialState, finalStates, rows } = readForm();
+    drawTransitionGrid($('#transition-grid'), gridLayout(), initialState, finalStates, rows);
+  };
+
+  /**
+   * Draws a table of states and symbols with the next states of every pair
+   * in an input, a last column to add a symbol and a last row to add a
+   * state. Cells keep their elements while the states and symbols stay the
+   * same, so the cell being typed in keeps its focus and its text.
+   * @param {jQuery} container - Element the table is drawn in
+   * @param {{states: string[], symbols: string[]}} layout - Rows and columns of the table
+   * @param {string} initialState - The initial state, marked with an arrow
+   * @param {string[]} finalStates - The final states, marked with a star
+   * @param {TransitionRow[]} rows - The transitions written in the cells
+   */
+  const drawTransitionGrid = (container, layout, initialState, finalStates, rows) => {
+    // Next states of every state and symbol, merged across rows
+    const targets = new Map();
+    rows.forEach(({ state, symbol, nextStates }) => {
+      const key = JSON.stringify([state, symbol || '\u03BB']);
+      if (!targets.has(key)) targets.set(key, []);
+      addAll(targets.get(key), nextStates);
+    });
+    const cellText = (state, symbol) =>
+      (targets.get(JSON.stringify([state, symbol])) || []).join(', ');
+
+    if (JSON.stringify(layout) === container.data('layout')) {
+      container.find('.grid-cell').each(function () {
+        if (this !== document.activeElement) {
+          $(this).val(cellText($(this).data('state'), $(this).data('symbol')));
+        }
+      });
+      container.find('tbody th').each(function () {
+        const state = $(this).data('state');
+        if (state !== undefined) $(this).text(markState(state, initialState, finalStates));
+      });
+      return;
+    }
+    container.data('layout', JSON.stringify(layout));
+
+    const input = (cls, placeholder) =>
+      $(`<input type="text" class="form-control form-control-sm ${cls}">`).attr('placeholder', placeholder);
+
+    const header = $('<tr>').append('<th>\u03B4</th>');
+    layout.symbols.forEach(symbol => header.append($('<th>').text(symbol)));
+    header.append($('<th>').append(input('grid-new-symbol', 'New symbol')));
+
+    const body = $('<tbody>');
+    layout.states.forEach(state => {
+      const row = $('<tr>').append(
+        $('<th>').data('state', state).text(markState(state, initialState, finalStates))
+      );
+      layout.symbols.forEach(symbol => {
+        row.append($('<td>').append(
+          input('grid-cell', '-').data({ state, symbol }).val(cellText(state, symbol))
+        ));
+      });
+      body.append(row.append('<td></td>'));
+    });
+    body.append($('<tr>').append($('<th>').append(input('grid-new-state', 'New state'))));
+
+    container.empty().append(
+      $('<table class="table table-bordered table-sm align-middle mb-0">')
+        .append($('<thead>').append(header), body)
+    );
+  };
+
+  /**
+   * Reads the cells of a table drawn by drawTransitionGrid()
+   * @param {jQuery} container - Element the table is drawn in
+   * @returns {{states: string[], rows: TransitionRow[]}} States of the table, and one row per state and symbol that has next states
+   */
+  const readGridCells = (container) => {
+    const rows = [];
+    const states = [];
+
+    container.find('.grid-cell').each(function () {
+      const state = $(this).data('state');
+      const symbol = $(this).data('symbol');
+      const nextStates = parseTargetSet($(this).val());
+
+      addAll(states, [state]);
+      if (nextStates.length > 0) {
+        rows.push({ state, symbol: symbol === '\u03BB' ? '' : symbol, nextStates });
+      }
+    });
+
+    return { states, rows };
+  };
+
+  /**
+   * Handles text pasted into a table drawn by drawTransitionGrid(). A
+   * pasted table with a State header replaces the automaton, and any other
+   * block of cells fills the table from the cell pasted into, as in a
+   * spreadsheet. A single value is pasted as usual.
+   * @param {jQuery.Event} e - The paste event
+   * @param {Element} input - The input pasted into
+   * @param {function(NFA): void} replace - Loads a pasted automaton
+   * @param {function(): void} apply - Reads the table again once its cells are filled
+   */
+  const pasteIntoGrid = (e, input, replace, apply) => {
+    const text = (e.originalEvent.clipboardData || window.clipboardData).getData('text');
+    if (!/[\t\n]/.test(text.trim())) return;
+    e.preventDefault();
+
+    const table = parseDelimitedTable(text);
+    if (table.length === 0) return;
+
+    if (['', 'state', 'states', '\u03B4', 'delta'].includes(table[0][0].toLowerCase())) {
+      try {
+        replace(parseTransitionTable(text));
+      } catch (err) {
+        alert(`Could not paste the table: ${err.message}`);
+      }
+      return;
+    }
+
+    const cells = $(input).closest('table').find('tbody tr').map(function () {
+      return [$(this).find('.grid-cell').get()];
+    }).get();
+    const row = cells.findIndex(r => r.includes(input));
+    if (row < 0) return;
+    const column = cells[row].indexOf(input);
+
+    table.forEach((values, i) => {
+      values.forEach((value, j) => {
+        const cell = (cells[row + i] || [])[column + j];
+        if (cell) $(cell).val(value);
+      });
+    });
+    apply();
+  };
+
+  /**
+   * Writes the table editor back to the transition rows: one row per state
+   * and symbol that has next states. States left without transitions stay
+   * on the table, and so do its columns.
+   */
+  const applyGrid = () => {
+    const { initialState, finalStates } = readForm();
+    const { states, rows } = readGridCells($('#transition-grid'));
+
+    const used = new Set();
+    rows.forEach(({ state, nextStates }) => [state, ...nextStates].forEach(s => used.add(s)));
+    editor.extraStates = states.filter(s => !used.has(s));
+    grid.extraSymbols = gridLayout().symbols.filter(symbol => symbol !== '\u03BB');
+
+    writeForm(initialState, finalStates, rows);
+  };
+
+  /**
+   * Writes a state with an arrow if it is the initial state and a star if
+   * it is final, as in transition tables
+   * @param {string} state - The state
+   * @param {string} initialState - The initial state
+   * @param {string[]} finalStates - The final states
+   * @returns {string} Marked state
+   */
+  const markState = (state, initialState, finalStates) =>
+    (state === initialState ? '\u2192' : '') + (finalStates.includes(state) ? '*' : '') + state;
+
+  /**
+   * Makes a state the initial state
+   * @param {string} state - The new initial state
+   */
+  const setInitialState = (state) => {
+    const { finalStates, rows } = readForm();
+    writeForm(state, finalStates, rows);
+  };
+
+  /**
+   * Makes a state final, or non-final if it already is
+   * @param {string} state - The state to toggle
+   */
+  const toggleFinalState = (state) => {
+    const { initialState, finalStates, rows } = readForm();
+    const toggled = finalStates.includes(state)
+      ? finalStates.filter(s => s !== state)
+      : [...finalStates, state];
+    writeForm(initialState, toggled, rows);
+  };
+
+  /**
+   * Shows a menu of actions at a position on the page
+   * @param {number} x - Horizontal page position
+   * @param {number} y - Vertical page position
+   * @param {Array<[string, Function, boolean]>} actions - Label, handler and whether it is disabled
+   */
+  const showGraphMenu = (x, y, actions) => {
+    hideGraphMenu();
+    const menu = $('<div class="dropdown-menu show" id="graph-context-menu">')
+      .css({ left: x, top: y })
+      .appendTo('body');
+
+    actions.forEach(([label, handler, disabled]) => {
+      $('<button type="button" class="dropdown-item">')
+        .text(label)
+        .prop('disabled', Boolean(disabled))
+        .click(() => {
+          hideGraphMenu();
+          handler();
+        })
+        .appendTo(menu);
+    });
+  };
+
+  /**
+   * Closes the graph menu
+   */
+  const hideGraphMenu = () => {
+    $('#graph-context-menu').remove();
+  };
+
+  /**
+   * Takes a snapshot of the form as it is, for the workspace
+   * @returns {FormSnapshot} Contents of the form
+   */
+  const snapshotForm = () => {
+    const { initialState, finalStates, rows, machineType, stateOutputs } = readForm();
+
+    // writeForm() leaves lambda symbols blank, so typed ones are stored blank
+    return {
+      initialState,
+      finalStates,
+      rows: rows.map(row => ({ ...row, symbol: row.symbol === '\u03BB' ? '' : row.symbol })),
+      extraStates: editor.extraStates.slice(),
+      machineType,
+      stateOutputs
+    };
+  };
+
+  /**
+   * Records the form in the history of the current automaton, if it changed,
+   * and saves the workspace
+   */
+  const recordEdit = () => {
+    if (workspace.activeTab.history.record(snapshotForm())) {
+      saveWorkspace(workspace, storage);
+    }
+    updateHistoryButtons();
+  };
+
+  /**
+   * Undoes or redoes an edit of the current automaton. Edits still waiting
+   * for the debounced update are recorded first.
+   * @param {function(EditHistory): (FormSnapshot|null)} move - Moves through the history
+   */
+  const stepHistory = (move) => {
+    clearTimeout(updateTimer);
+    recordEdit();
+
+    const snapshot = move(workspace.activeTab.history);
+    if (!snapshot) return;
+
+    saveWorkspace(workspace, storage);
+    restoreSnapshot(snapshot);
+  };
+
+  /**
+   * Puts a snapshot back in the form and refreshes the visualizations
+   * @param {FormSnapshot} snapshot - The snapshot to restore
+   */
+  const restoreSnapshot = (snapshot) => {
+    editor.extraStates = snapshot.extraStates.slice();
+    grid.extraSymbols = [];
+    writeMachineType(snapshot.machineType, snapshot.stateOutputs);
+    writeForm(snapshot.initialState, snapshot.finalStates, snapshot.rows);
+    updateHistoryButtons();
+  };
+
+  /**
+   * Enables the undo and redo buttons when there is something to undo or redo
+   */
+  const updateHistoryButtons = () => {
+    const edits = workspace.activeTab.history;
+    $('#undo-btn').prop('disabled', !edits.canUndo);
+    $('#redo-btn').prop('disabled', !edits.canRedo);
+  };
+
+  /**
+   * Lists the open automata as tabs, the one being edited active
+   */
+  const renderTabs = () => {
+    const tabs = $('#workspace-tabs').empty();
+
+    workspace.tabs.forEach((tab, i) => {
+      const link = $('<button type="button" class="nav-link">')
+        .toggleClass('active', i === workspace.active)
+        .attr('data-index', i)
+        .attr('title', 'Double-click to rename')
+        .text(tab.name);
+
+      if (workspace.tabs.length > 1) {
+        link.append(' ', $('<span class="close-tab" title="Close this automaton">').html('&times;'));
+      }
+
+      tabs.append($('<li class="nav-item">').append(link));
+    });
+  };
+
+  /**
+   * Shows the automaton of the active tab in the form and the result
+   * sections, and saves the workspace
+   */
+  const showActiveTab = () => {
+    saveWorkspace(workspace, storage);
+    renderTabs();
+    stopConstructionPlayback();
+    $('#test-string-input').val('');
+    restoreSnapshot(workspace.activeTab.snapshot);
+  };
+
+  /**
+   * Opens a new, empty automaton and switches to it
+   * @param {string} name - Name of the tab, a numbered one by default
+   */
+  const openTab = (name) => {
+    recordEdit();
+    workspace.addTab(name);
+    showActiveTab();
+  };
+
+  /**
+   * Updates the results once the user stops typing for a moment
+   */
+  const scheduleUpdate = () => {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => verifyUpdateDebug.click(), INPUT_DEBOUNCE_MS);
+  };
+
+  /**
+   * Starts the conversion worker, unless the page cannot run one, e.g. when
+   * it is opened from a file:// URL
+   * @returns {Worker|null} The worker, or null to convert on the page
+   */
+  const startConversionWorker = () => {
+    if (!window.Worker) return null;
+
+    try {
+      return new Worker('worker.js');
+    } catch (err) {
+      return null;
+    }
+  };
+
+  /**
+   * Runs the conversion on the page, for browsers that cannot start the worker
+   * @param {NFA} nfa - The NFA to convert
+   * @param {boolean} inlineClosure - Follow lambda transitions during the construction
+   * @param {number} maxStates - Number of DFA states after which the conversion gives up
+   * @returns {{stepper: SubsetConstruction, minDFA: NFA}} The construction and the minimized DFA
+   */
+  const convertOnPage = (nfa, inlineClosure, maxStates) => {
+    const stepper = new SubsetConstruction(nfa, inlineClosure, maxStates).run();
+    return { stepper, minDFA: minimizeDFA(stepper.toDFA()) };
+  };
+
+  /**
+   * Converts an NFA to a DFA and minimizes it in the worker, cancelling the
+   * conversion still running if there is one
+   * @param {NFA} nfa - The NFA to convert
+   * @param {boolean} inlineClosure - Follow lambda transitions during the construction
+   * @param {number} maxStates - Number of DFA states after which the conversion gives up
+   * @returns {Promise<{stepper: SubsetConstruction, minDFA: NFA}>} The construction and the minimized DFA
+   */
+  const convertNFA = (nfa, inlineClosure, maxStates) => {
+    cancelConversion();
+    const id = conversion.id;
+
+    if (conversion.worker === null) {
+      conversion.worker = startConversionWorker() || false;
+    }
+
+    const worker = conversion.worker;
+    if (!worker) {
+      return Promise.resolve().then(() => convertOnPage(nfa, inlineClosure, maxStates));
+    }
+
+    conversion.running = true;
+    return new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) => {
+        if (data.id !== id) return;
+        conversion.running = false;
+
+        if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve({
+            stepper: SubsetConstruction.fromJSON(data.construction),
+            minDFA: NFA.fromJSON(data.minDFA)
+          });
+        }
+      };
+
+      // The worker script could not be loaded, so convert on the page from now on
+      worker.onerror = (event) => {
+        event.preventDefault();
+        worker.terminate();
+        conversion.worker = false;
+        conversion.running = false;
+
+        try {
+          resolve(convertOnPage(nfa, inlineClosure, maxStates));
+        } catch (err) {
+          reject(err);
+        }
+      };
+
+      worker.postMessage({ id, nfa: nfa.toJSON(), inlineClosure, maxStates });
+    });
+  };
+
+  /**
+   * Stops the running conversion and makes any pending result stale
+   */
+  const cancelConversion = () => {
+    conversion.id++;
+
+    if (conversion.running) {
+      conversion.worker.terminate();
+      conversion.worker = null;
+      conversion.running = false;
+    }
+  };
+
+  /**
+   * Shows the lambda-closure of every state, the lambda-free NFA and the
+   * final states added on the way. The lambda-free NFA is the one the
+   * subset construction used, and is only built here in the inline mode.
+   * @param {SubsetConstruction} stepper - The finished subset construction
+   */
+  const showLambdaElimination = (stepper) => {
+    const nfa = stepper.originalNFA;
+    if (nfa.states.length > DRAW_STATE_LIMIT) {
+      $('#lambda-closure-table').html(
+        `<p class="text-muted">Not shown for more than ${DRAW_STATE_LIMIT} states.</p>`
+      );
+      showTooLargeToDraw('#lambda-free-nfa', nfa);
+      $('#lambda-added-finals').empty();
+      return;
+    }
+
+    const lambdaFreeNFA = stepper.inlineClosure ? lambdaClosureNFA(nfa) : stepper.nfa;
+    const addedFinalStates = lambdaFreeNFA.finalStates.filter(s => !nfa.finalStates.includes(s));
+    const index = indexTransitions(nfa.transitions);
+
+    let tableHtml = '<table class="table table-bordered table-sm"><thead><tr>' +
+      '<th>State</th><th>\u03BB-closure</th></tr></thead><tbody>';
+    nfa.states.forEach(state => {
+      const closure = index.closure(state);
+      tableHtml += `<tr><td>${escapeHtml(state)}</td><td>{${escapeHtml(closure.join(', '))}}</td></tr>`;
+    });
+    tableHtml += '</tbody></table>';
+    $('#lambda-closure-table').html(tableHtml);
+
+    d3.select('#lambda-free-nfa')
+      .graphviz()
+      .zoom(false)
+      .renderDot(lambdaFreeNFA.toDotString());
+
+    $('#lambda-added-finals').text(addedFinalStates.length > 0
+      ? `${addedFinalStates.join(', ')} made final: the \u03BB-closure of the initial state reaches a final state.`
+      : 'No final states were added.');
+  };
+
+  /**
+   * Shows the subset construction after the given number of steps
+   * @param {number} position - Number of steps, clamped to the available range
+   */
+  const goToConstructionStep = (position) => {
+    if (!construction.stepper) return;
+
+    const last = construction.stepper.steps.length;
+    construction.position = Math.max(0, Math.min(last, position));
+    showConstructionStep();
+  };
+
+  /**
+   * Stops playing the subset construction
+   */
+  const stopConstructionPlayback = () => {
+    clearInterval(construction.timer);
+    construction.timer = null;
+    $('#construction-play i').removeClass('fa-pause').addClass('fa-play');
+  };
+
+  /**
+   * Renders the DFA as it was after the current construction step, along
+   * with the worklist and an explanation of the step
+   */
+  const showConstructionStep = () => {
+    const { stepper, position } = construction;
+    const steps = stepper.steps;
+    const step = position > 0 ? steps[position - 1] : null;
+
+    visualizeDFA(stepper.toDFA(position));
+    $('#current-dfa-minimized').toggle(position === steps.length);
+    $('#construction-position').text(`Step ${position} of ${steps.length}`);
+
+    const worklist = stepper.worklistAt(position);
+    const worklistDiv = $('#construction-worklist').empty();
+    worklist.slice(-DRAW_STATE_LIMIT).reverse().forEach((subset, i) => {
+      worklistDiv.append(
+        $('<li class="list-group-item py-1">').text(subset).toggleClass('active', i === 0)
+      );
+    });
+    if (worklist.length > DRAW_STATE_LIMIT) {
+      worklistDiv.append(
+        `<li class="list-group-item py-1 text-muted">and ${worklist.length - DRAW_STATE_LIMIT} more</li>`
+      );
+    }
+    if (worklist.length === 0) {
+      worklistDiv.append('<li class="list-group-item py-1 text-muted">Empty</li>');
+    }
+
+    $('#construction-narrative').html(describeConstructionStep(step, position));
+  };
+
+  /**
+   * Explains a step of the subset construction
+   * @param {SubsetStep|null} step - The step, or null before the first step
+   * @param {number} position - Number of the step
+   * @returns {string} HTML narrative
+   */
+  const describeConstructionStep = (step, position) => {
+    if (!step) {
+      return 'The construction starts with the initial state ' +
+        `<strong>${escapeHtml(construction.stepper.initialState)}</strong> on the worklist.`;
+    }
+
+    const formatSet = states => escapeHtml(`{${states.join(', ')}}`);
+    const moveText = construction.stepper.inlineClosure
+      ? 'moves, following \u03BB afterwards, to'
+      : 'moves to';
+    let html = `<strong>Step ${position}.</strong> Take <strong>${escapeHtml(step.subset)}</strong> off the worklist. ` +
+      `Its \u03BB-closure in the original NFA is ${formatSet(step.closure)}.<ul class="mt-2">`;
+
+    step.moves.forEach(({ symbol, targets, subset, isNew }) => {
+      const target = targets.length > 0
+        ? `${moveText} ${formatSet(targets)}, which is DFA state <strong>${escapeHtml(subset)}</strong>`
+        : 'has no moves, so it goes to <strong>TRAP</strong>';
+      let badge = '';
+      if (isNew && subset === 'TRAP') {
+        badge = ' <span class="badge bg-warning text-dark">TRAP created</span>';
+      } else if (isNew) {
+        badge = ' <span class="badge bg-success">new, added to the worklist</span>';
+      }
+      html += `<li>On <strong>${escapeHtml(symbol)}</strong> it ${target}.${badge}</li>`;
+    });
+
+    return html + '</ul>';
+  };
+
+  /**
+   * Marks the parts of the DFA graph added by the current construction step
+   */
+  const highlightConstructionStep = () => {
+    const { stepper, position } = construction;
+    const step = stepper && position > 0 ? stepper.steps[position - 1] : null;
+    const format = s => shownStateName('dfa', stepper.nfa, s);
+
+    const newNodes = step ? step.newSubsets.map(format) : [];
+    const current = step ? format(step.subset) : null;
+    const newEdges = step
+      ? step.transitions.map(t => `${format(t.state)}->${format(t.nextStates[0])}`)
+      : [];
+
+    const graph = d3.select('#current-dfa');
+    graph.selectAll('g.node').each(function () {
+      const id = d3.select(this).select('title').text();
+      d3.select(this)
+        .classed('new-part', newNodes.includes(id))
+        .classed('current-subset', id === current);
+    });
+    graph.selectAll('g.edge').classed('new-part', function () {
+      return newEdges.includes(d3.select(this).select('title').text());
+    });
+  };
+
+  /**
+   * Names the DFA and minimized DFA states in breadth-first order, with the
+   * typed prefix, when the renamed mode is selected
+   * @param {NFA} dfa - The DFA
+   * @param {NFA} minDFA - The minimized DFA
+   */
+  const updateStateNames = (dfa, minDFA) => {
+    const renamed = $('input[name="state-naming"]:checked').val() === 'renamed';
+    const prefix = $('#state-prefix').val().trim();
+
+    stateNames.dfa = renamed ? nameStatesInOrder(dfa, prefix) : null;
+    stateNames.minDFA = renamed ? nameStatesInOrder(minDFA, prefix) : null;
+    $('.state-legend').toggle(renamed);
+  };
+
+  /**
+   * Finds the name a DFA state is shown under
+   * @param {string} machine - 'dfa' or 'minDFA'
+   * @param {NFA} automaton - Automaton whose state it is
+   * @param {string} state - The state
+   * @returns {string} New name of the state, or its own name while the subsets are shown
+   */
+  const shownStateName = (machine, automaton, state) => {
+    const names = stateNames[machine];
+    return names && names.has(state) ? names.get(state) : automaton.formatDotState(state);
+  };
+
+  /**
+   * Renames the states of the DFA or minimized DFA as they are shown
+   * @param {string} machine - 'dfa' or 'minDFA'
+   * @param {NFA} automaton - The automaton
+   * @returns {{automaton: NFA, legend: Map<string, string>|null}} Automaton as shown, and the original name of every state once renamed
+   */
+  const shownMachine = (machine, automaton) => (
+    stateNames[machine] ? relabelWithLegend(automaton, stateNames[machine]) : { automaton, legend: null }
+  );
+
+  /**
+   * Renders the table of the original name of every renamed state
+   * @param {string} selector - The legend container
+   * @param {Map<string, string>|null} legend - Original name of every state, or null to clear it
+   */
+  const renderStateLegend = (selector, legend) => {
+    if (!legend) {
+      $(selector).empty();
+      return;
+    }
+
+    let tableHtml = '<table class="table table-bordered table-sm"><thead><tr>' +
+      '<th>State</th><th>NFA states</th></tr></thead><tbody>';
+    legend.forEach((original, name) => {
+      tableHtml += `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(original)}</td></tr>`;
+    });
+    $(selector).html(tableHtml + '</tbody></table>');
   };
 
   /**
@@ -249,10 +2381,26 @@ $(() => {
    * @param {DFA} dfa - The DFA to visualize
    */
   const visualizeDFA = (dfa) => {
+    if (showTooLargeToDraw('#current-dfa', dfa)) {
+      $('#dfa-transition-table').html(
+        `<p class="text-muted">Not shown for more than ${DRAW_STATE_LIMIT} states.</p>`
+      );
+      renderStateLegend('#dfa-legend', null);
+      return;
+    }
+
+    const { automaton: shown, legend } = shownMachine('dfa', dfa);
+    $('#dfa-transition-table').html(shown.generateTransitionTable(legend));
+    renderStateLegend('#dfa-legend', legend);
+
     d3.select('#current-dfa')
       .graphviz()
       .zoom(false)
-      .renderDot(dfa.toDotString());
+      .on('end', () => {
+        highlightSimulation();
+        highlightConstructionStep();
+      })
+      .renderDot(shown.toDotString(legend));
   };
 
   /**
@@ -260,9 +2408,437 @@ $(() => {
    * @param {DFA} minDFA - The minimized DFA to visualize
    */
   const visualizeMinimizedDFA = (minDFA) => {
+    if (showTooLargeToDraw('#current-dfa-minimized', minDFA)) {
+      renderStateLegend('#min-dfa-legend', null);
+      return;
+    }
+
+    const { automaton: shown, legend } = shownMachine('minDFA', minDFA);
+    renderStateLegend('#min-dfa-legend', legend);
+
     d3.select('#current-dfa-minimized')
       .graphviz()
       .zoom(false)
-      .renderDot(minDFA.toDotString());
+      .renderDot(shown.toDotString(legend));
+  };
+
+  /**
+   * Replaces a graph with a note when the automaton has too many states to draw
+   * @param {string} selector - The graph container
+   * @param {NFA} automaton - The automaton to draw
+   * @returns {boolean} True if the automaton is too large to draw
+   */
+  const showTooLargeToDraw = (selector, automaton) => {
+    if (automaton.states.length <= DRAW_STATE_LIMIT) return false;
+
+    $(selector).html(
+      `<p class="text-muted p-3">${automaton.states.length} states are too many to draw.</p>`
+    );
+    return true;
+  };
+
+  /**
+   * Runs Brzozowski minimization on the NFA, draws its four machines and
+   * compares the number of states with the Hopcroft result. It runs on the
+   * page, so its determinizations give up once they are too large to draw.
+   * @param {NFA} nfa - The input NFA
+   * @param {DFA} minDFA - The DFA minimized with minimizeDFA()
+   * @param {number} maxStates - Number of DFA states after which a determinization gives up
+   */
+  const showBrzozowskiMinimization = (nfa, minDFA, maxStates) => {
+    const graphs = {
+      reversed: '#brzozowski-reversed',
+      reversedDFA: '#brzozowski-reversed-dfa',
+      reversedBack: '#brzozowski-reversed-back',
+      minDFA: '#brzozowski-min-dfa'
+    };
+
+    let result;
+    try {
+      result = brzozowskiMinimization(nfa, Math.min(maxStates, DRAW_STATE_LIMIT));
+    } catch (err) {
+      Object.values(graphs).forEach(selector => $(selector).empty());
+      $('#brzozowski-summary').html($('<div class="alert alert-warning py-2">').text(
+        `${err.message}; Brzozowski minimization is only shown for automata small enough to draw.`
+      ));
+      return;
+    }
+
+    Object.entries(graphs).forEach(([key, selector]) => {
+      if (showTooLargeToDraw(selector, result[key])) return;
+
+      d3.select(selector)
+        .graphviz()
+        .zoom(false)
+        .renderDot(result[key].toDotString());
+    });
+
+    const brzozowskiCount = result.minDFA.states.length;
+    const hopcroftCount = minDFA.states.length;
+    const agree = brzozowskiCount === hopcroftCount;
+    $('#brzozowski-summary').html(
+      $(`<div class="alert ${agree ? 'alert-success' : 'alert-danger'} py-2">`).text(
+        `Brzozowski: ${brzozowskiCount} states, Hopcroft: ${hopcroftCount} states` +
+        (agree ? '.' : ' \u2014 the minimal state counts disagree.')
+      )
+    );
+  };
+
+  /**
+   * Shows how the minimized DFA was found: the removed unreachable states,
+   * the Hopcroft partition history and the distinguishability table
+   * @param {DFA} dfa - The DFA before minimization
+   */
+  const showMinimizationSteps = (dfa) => {
+    const reachableDFA = removeUnreachableStates(dfa);
+    const reachable = new Set(reachableDFA.states);
+    const unreachable = dfa.states.filter(s => !reachable.has(s));
+    const name = state => escapeHtml(dfa.formatDotState(state));
+    const formatBlock = block => `{${block.map(name).join(', ')}}`;
+
+    $('#unreachable-states').text(unreachable.length > 0
+      ? `Unreachable states removed: ${unreachable.map(s => dfa.formatDotState(s)).join(', ')}`
+      : 'All states are reachable.');
+
+    if (reachableDFA.states.length > DRAW_STATE_LIMIT) {
+      $('#partition-history, #distinguishability-table').html(
+        `<p class="text-muted">Not shown for more than ${DRAW_STATE_LIMIT} states.</p>`
+      );
+      return;
+    }
+
+    const { history } = hopcroftPartition(reachableDFA);
+    let historyHtml = '<table class="table table-bordered table-sm"><thead><tr>' +
+      '<th>Step</th><th>Split</th><th>Partition</th></tr></thead><tbody>';
+
+    history.forEach((step, i) => {
+      const split = step.block
+        ? `${formatBlock(step.block)} by ${formatBlock(step.splitter)} on ${escapeHtml(step.symbol)}`
+        : 'Final / non-final';
+      historyHtml += `<tr><td>${i}</td><td>${split}</td>` +
+        `<td>${step.partition.map(formatBlock).join(' ')}</td></tr>`;
+    });
+
+    historyHtml += '</tbody></table>';
+    $('#partition-history').html(historyHtml);
+
+    // Lower triangle only, as the table is symmetric
+    const states = reachableDFA.states;
+    const table = distinguishabilityTable(reachableDFA);
+    let tableHtml = '<table class="table table-bordered table-sm"><tbody>';
+
+    states.slice(1).forEach((p, i) => {
+      tableHtml += `<tr><th>${name(p)}</th>`;
+      states.slice(0, i + 1).forEach(q => {
+        const word = table.get(p).get(q);
+        tableHtml += word === null
+          ? '<td class="table-success">\u2261</td>'
+          : `<td>${escapeHtml(word)}</td>`;
+      });
+      tableHtml += '</tr>';
+    });
+
+    tableHtml += '<tr><th></th>';
+    states.slice(0, -1).forEach(q => {
+      tableHtml += `<th>${name(q)}</th>`;
+    });
+    tableHtml += '</tr></tbody></table>';
+    $('#distinguishability-table').html(tableHtml);
+  };
+
+  /**
+   * Converts the minimized DFA to a regular expression and renders every
+   * intermediate GNFA of the state elimination
+   */
+  const convertToRegex = () => {
+    if (!machines.minDFA) return;
+
+    if (machines.minDFA.states.length > REGEX_STATE_LIMIT) {
+      $('#regex-result').text(
+        `The minimized DFA has more than ${REGEX_STATE_LIMIT} states, too many to convert.`
+      );
+      $('#elimination-steps').empty();
+      $('#elimination-order').removeClass('is-invalid');
+      return;
+    }
+
+    const longSymbol = findMultiCharacterSymbol(machines.minDFA);
+    if (longSymbol !== null) {
+      $('#regex-result').text(
+        `The symbol "${longSymbol}" has several characters, which a regular expression would read as a concatenation.`
+      );
+      $('#elimination-steps').empty();
+      $('#elimination-order').removeClass('is-invalid');
+      return;
+    }
+
+    const orderInput = $('#elimination-order');
+    const order = orderInput.val().split(',').map(s => s.trim()).filter(s => s);
+    let result;
+
+    try {
+      result = automatonToRegex(machines.minDFA, order);
+      orderInput.removeClass('is-invalid');
+    } catch (err) {
+      // The result of an earlier order would no longer match the input
+      $('#regex-result').empty();
+      $('#elimination-steps').empty();
+      $('#elimination-error').text(err.message);
+      orderInput.addClass('is-invalid');
+      return;
+    }
+
+    orderInput.attr('placeholder', result.steps
+      .slice(1)
+      .map(step => machines.minDFA.formatDotState(step.state))
+      .join(','));
+    $('#regex-result').text(result.regex);
+
+    const stepsDiv = $('#elimination-steps');
+    stepsDiv.empty();
+
+    result.steps.forEach((step, i) => {
+      const title = step.state === null
+        ? 'Generalized NFA'
+        : `Eliminate ${machines.minDFA.formatDotState(step.state)}`;
+      stepsDiv.append(
+        `<div class="col-md-6"><h6>${escapeHtml(title)}</h6>` +
+        `<div id="elimination-step-${i}" class="graph-container"></div></div>`
+      );
+      d3.select(`#elimination-step-${i}`)
+        .graphviz()
+        .zoom(false)
+        .renderDot(step.gnfa.toDotString());
+    });
+  };
+
+  /**
+   * Checks a Mealy or Moore machine, shows its transition table, the
+   * equivalent machine of the other kind and the minimized Moore machine,
+   * and runs the test string through it
+   * @param {NFA} machine - The transducer from the form
+   */
+  const showTransducer = (machine) => {
+    cancelConversion();
+    stopConstructionPlayback();
+    $('#conversion-status, #self-check-status').empty();
+    resultSections.hide();
+    $('#transducer-section').show();
+
+    const mealy = $('#machineTypeInput').val() === 'mealy';
+    const problems = checkTransducer(machine);
+    $('#transducer-table').html(machine.generateTransitionTable());
+    $('#transducer-converted-title').text(mealy ? 'Equivalent Moore Machine' : 'Equivalent Mealy Machine');
+
+    machines.nfa = null;
+    machines.dfa = null;
+    machines.minDFA = null;
+    machines.transducer = problems.length === 0 ? machine : null;
+
+    if (problems.length > 0) {
+      const list = $('<ul class="mb-0">');
+      problems.forEach(problem => list.append($('<li>').text(problem)));
+      $('#transducer-problems').empty().append(
+        $('<div class="alert alert-warning py-2">').text('This machine cannot be run yet:').append(list)
+      );
+      $('#transducer-converted, #transducer-minimized').empty();
+      return;
+    }
+    $('#transducer-problems').empty();
+
+    const converted = mealy ? mealyToMoore(machine) : mooreToMealy(machine);
+    const minimized = minimizeMoore(mealy ? converted : machine);
+    [['#transducer-converted', converted], ['#transducer-minimized', minimized]].forEach(([selector, automaton]) => {
+      if (showTooLargeToDraw(selector, automaton)) return;
+
+      d3.select(selector)
+        .graphviz()
+        .zoom(false)
+        .renderDot(automaton.toDotString());
+    });
+
+    $('#simulation-section').show();
+    runSimulation();
+  };
+
+  /**
+   * Runs the test string through the Mealy or Moore machine and shows its
+   * output tape
+   */
+  const runTransducerSimulation = () => {
+    try {
+      simulation.results = { transducer: runTransducer(machines.transducer, $('#test-string-input').val()) };
+    } catch (err) {
+      simulation.results = null;
+      $('#simulation-verdicts').empty().append($('<span class="badge bg-danger">').text(`Stopped: ${err.message}`));
+      $('#simulation-trace').empty();
+      return;
+    }
+
+    simulation.position = simulation.results.transducer.symbols.length;
+    renderSimulation();
+  };
+
+  /**
+   * Runs the test string through the NFA, DFA and minimized DFA and shows
+   * the final step of the trace
+   */
+  const runSimulation = () => {
+    if (machines.transducer) {
+      runTransducerSimulation();
+      return;
+    }
+    if (!machines.nfa) return;
+
+    const word = $('#test-string-input').val();
+    simulation.results = {
+      nfa: simulateWord(machines.nfa, word),
+      dfa: simulateWord(machines.dfa, word),
+      minDFA: simulateWord(machines.minDFA, word)
+    };
+    simulation.position = simulation.results.nfa.symbols.length;
+    renderSimulation();
+  };
+
+  /**
+   * Renders the verdicts and trace table for the current simulation step
+   */
+  const renderSimulation = () => {
+    const { results, position } = simulation;
+    if (!results) return;
+
+    if (results.transducer) {
+      renderTransducerSimulation();
+      return;
+    }
+
+    const verdict = (label, result) => {
+      const cls = result.accepted ? 'bg-success' : 'bg-danger';
+      const text = result.accepted ? 'Accepted' : 'Rejected';
+      return `<span class="badge ${cls} me-2">${label}: ${text}</span>`;
+    };
+
+    $('#simulation-verdicts').html(
+      verdict('NFA', results.nfa) +
+      verdict('DFA', results.dfa) +
+      verdict('Minimized DFA', results.minDFA)
+    );
+
+    // The DFAs are in a single state, which is already written as a subset
+    const formatSet = (automaton, states) =>
+      states.length > 0
+        ? escapeHtml(`{${states.map(s => automaton.formatDotState(s)).join(', ')}}`)
+        : '\u2205';
+    const formatState = (machine, states) =>
+      states.length > 0 ? escapeHtml(shownStateName(machine, machines[machine], states[0])) : '\u2205';
+
+    let tableHtml = '<table class="table table-bordered table-sm"><thead><tr>' +
+      '<th>Step</th><th>Symbol</th><th>NFA</th><th>DFA</th><th>Minimized DFA</th>' +
+      '</tr></thead><tbody>';
+
+    results.nfa.trace.forEach((nfaStates, i) => {
+      const rowClass = i === position ? ' class="table-active"' : '';
+      tableHtml += `<tr${rowClass}><td>${i}</td>` +
+        `<td>${i === 0 ? '\u03BB' : escapeHtml(results.nfa.symbols[i - 1])}</td>` +
+        `<td>${formatSet(machines.nfa, nfaStates)}</td>` +
+        `<td>${formatState('dfa', results.dfa.trace[i])}</td>` +
+        `<td>${formatState('minDFA', results.minDFA.trace[i])}</td></tr>`;
+    });
+
+    tableHtml += '</tbody></table>';
+    $('#simulation-trace').html(tableHtml);
+
+    highlightSimulation();
+  };
+
+  /**
+   * Renders the output tape and the trace table of a Mealy or Moore machine
+   * for the current simulation step
+   */
+  const renderTransducerSimulation = () => {
+    const { results: { transducer: run }, position } = simulation;
+
+    // A Moore machine writes its first output before reading anything
+    const offset = run.outputs.length - run.symbols.length;
+    const tape = run.outputs.slice(0, position + offset);
+    $('#simulation-verdicts').empty().append(
+      $('<span class="badge bg-primary me-2">').text(
+        `Output tape: ${tape.length > 0 ? tape.join(' ') : '\u03BB'}`
+      )
+    );
+
+    let tableHtml = '<table class="table table-bordered table-sm"><thead><tr>' +
+      '<th>Step</th><th>Symbol</th><th>State</th><th>Output</th>' +
+      '</tr></thead><tbody>';
+
+    run.trace.forEach((state, i) => {
+      const rowClass = i === position ? ' class="table-active"' : '';
+      const output = i - 1 + offset >= 0 ? run.outputs[i - 1 + offset] : '-';
+      tableHtml += `<tr${rowClass}><td>${i}</td>` +
+        `<td>${i === 0 ? '\u03BB' : escapeHtml(run.symbols[i - 1])}</td>` +
+        `<td>${escapeHtml(state)}</td><td>${escapeHtml(output)}</td></tr>`;
+    });
+
+    tableHtml += '</tbody></table>';
+    $('#simulation-trace').html(tableHtml);
+
+    highlightSimulation();
+  };
+
+  /**
+   * Highlights the active states of the current simulation step in the
+   * NFA and DFA graphs
+   */
+  const highlightSimulation = () => {
+    const { results, position } = simulation;
+    if (results && results.transducer) {
+      highlightStates('#current-nfa', [results.transducer.trace[position]]);
+      return;
+    }
+
+    const nfaStates = results ? results.nfa.trace[position] : [];
+    const dfaStates = results
+      ? results.dfa.trace[position].map(s => shownStateName('dfa', machines.dfa, s))
+      : [];
+
+    highlightStates('#current-nfa', nfaStates);
+    highlightStates('#current-dfa', dfaStates);
+  };
+
+  /**
+   * Marks the graph nodes whose ids are in the given list as active
+   * @param {string} selector - Graph container selector
+   * @param {string[]} stateIds - Node ids to highlight
+   */
+  const highlightStates = (selector, stateIds) => {
+    d3.select(selector)
+      .selectAll('g.node')
+      .classed('active-state', function () {
+        return stateIds.includes(d3.select(this).select('title').text());
+      });
   };
+
+  // Nothing to load until an operation has been applied
+  $('#load-operation-result').hide();
+
+  renderAnswerGrid();
+
+  // An instructor can link to the page with ?exercise= and the address of
+  // the exercise file
+  const exerciseUrl = new URLSearchParams(window.location.search).get('exercise');
+  if (exerciseUrl) {
+    $('#exercise-source').val('url').trigger('change');
+    $('#exercise-url').val(exerciseUrl);
+    $('#load-exercise').click();
+  }
+
+  // Restore the workspace, then open the automaton from a permalink if the
+  // page was loaded with one. The address of the active automaton is kept in
+  // the hash, so a reload only opens a new tab for a different automaton.
+  const openedHash = window.location.hash;
+  showActiveTab();
+  if (openedHash && openedHash !== window.location.hash) {
+    history.replaceState(null, '', openedHash);
+    loadFromHash();
+  }
 });
\ No newline at end of file
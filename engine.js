@@ -1,8 +1,22 @@
 /**
- * Tracks the number of steps completed in the last DFA generation
- * @type {number}
+ * Logger that discards every message
+ * @type {{debug: Function, log: Function, warn: Function}}
  */
-let LAST_COMPLETED_STEP_COUNT = 0;
+const SILENT_LOGGER = { debug() {}, log() {}, warn() {} };
+
+/**
+ * Receives the engine's diagnostic messages, silent unless set with setEngineLogger()
+ * @type {{debug: Function, log: Function, warn: Function}}
+ */
+let engineLogger = SILENT_LOGGER;
+
+/**
+ * Sets the logger used for the engine's diagnostic messages
+ * @param {{debug: Function, log: Function, warn: Function}|null} logger - Logger such as console, or null to silence the engine
+ */
+function setEngineLogger(logger) {
+  engineLogger = logger || SILENT_LOGGER;
+}
 
 /**
  * Represents a transition in a finite automaton
@@ -13,14 +27,15 @@ class Transition {
    * @param {string} state - The current state
    * @param {string[]} nextStates - Array of next states
    * @param {string} symbol - The transition symbol
+   * @param {string|null} output - Output written on this transition by a Mealy machine, null otherwise
    */
-  constructor(state, nextStates, symbol) {
+  constructor(state, nextStates, symbol, output = null) {
     if (typeof state !== 'string') {
       throw new Error('Expected a single state (string)');
     }
 
     if (!Array.isArray(nextStates)) {
-      console.warn('Expected nextStates in transition to be an array');
+      engineLogger.warn('Expected nextStates in transition to be an array');
       nextStates = [nextStates.toString()];
     }
 
@@ -31,7 +46,156 @@ class Transition {
     this.state = state;
     this.nextStates = nextStates;
     this.symbol = symbol;
+    this.output = output;
+  }
+
+  /**
+   * Label of the transition, with its Mealy output after a slash
+   * @type {string}
+   */
+  get label() {
+    return this.output === null ? this.symbol : `${this.symbol}/${this.output}`;
+  }
+}
+
+/**
+ * Looks up transitions by state and symbol instead of scanning the whole
+ * transitions array, and memoizes lambda-closures
+ */
+class TransitionIndex {
+  /**
+   * Creates a new TransitionIndex
+   * @param {Transition[]} transitions - Transitions to index
+   */
+  constructor(transitions) {
+    this.size = transitions.length;
+    this.targets = new Map();
+    this.outgoing = new Map();
+    this.lambdaTargets = new Map();
+    this.closures = new Map();
+
+    transitions.forEach(t => {
+      if (!Array.isArray(t.nextStates)) {
+        throw new Error('Expected nextStates in NFA to be an array');
+      }
+
+      if (!this.targets.has(t.state)) this.targets.set(t.state, new Map());
+      const bySymbol = this.targets.get(t.state);
+      if (!bySymbol.has(t.symbol)) bySymbol.set(t.symbol, []);
+      addAll(bySymbol.get(t.symbol), t.nextStates);
+
+      const key = JSON.stringify([t.state, t.symbol]);
+      if (!this.outgoing.has(key)) this.outgoing.set(key, []);
+      this.outgoing.get(key).push(t);
+
+      if (t.symbol.trim() === '' || t.symbol.trim() === '\u03BB') {
+        if (!this.lambdaTargets.has(t.state)) this.lambdaTargets.set(t.state, []);
+        addAll(this.lambdaTargets.get(t.state), t.nextStates);
+      }
+    });
+  }
+
+  /**
+   * Finds next states for a given state and input symbol
+   * @param {string} state - Current state
+   * @param {string} symbol - Input symbol
+   * @returns {string[]} Next states, not to be modified
+   */
+  next(state, symbol) {
+    const bySymbol = this.targets.get(state);
+    return (bySymbol && bySymbol.get(symbol)) || [];
+  }
+
+  /**
+   * Finds the transitions leaving a state on an input symbol
+   * @param {string} state - Current state
+   * @param {string} symbol - Input symbol
+   * @returns {Transition[]} Matching transitions, not to be modified
+   */
+  transitionsFrom(state, symbol) {
+    return this.outgoing.get(JSON.stringify([state, symbol])) || [];
+  }
+
+  /**
+   * Finds every state reached from a state in one transition, on any symbol
+   * @param {string} state - Current state
+   * @returns {string[]} Next states
+   */
+  successors(state) {
+    const successors = [];
+    (this.targets.get(state) || new Map()).forEach(nextStates => addAll(successors, nextStates));
+    return successors;
+  }
+
+  /**
+   * Computes the lambda-closure of a state, once per state
+   * @param {string} state - Input state
+   * @returns {string[]} Closure states, not to be modified
+   */
+  closure(state) {
+    if (!this.closures.has(state)) {
+      const eClosure = [state];
+      const seen = new Set(eClosure);
+
+      // Worklist rather than recursion, so lambda cycles terminate
+      for (let i = 0; i < eClosure.length; i++) {
+        (this.lambdaTargets.get(eClosure[i]) || []).forEach(nextState => {
+          if (!seen.has(nextState)) {
+            seen.add(nextState);
+            eClosure.push(nextState);
+          }
+        });
+      }
+
+      this.closures.set(state, eClosure);
+    }
+
+    return this.closures.get(state);
+  }
+}
+
+/**
+ * Index of every transitions array looked up so far
+ * @type {WeakMap<Transition[], TransitionIndex>}
+ */
+const TRANSITION_INDEXES = new WeakMap();
+
+/**
+ * Returns the index of a transitions array, building it on first use and
+ * again whenever transitions have been added since. Transitions edited in
+ * place are not noticed, so the editors build a new automaton instead.
+ * @param {Transition[]} transitions - Transitions to index
+ * @returns {TransitionIndex} The index
+ */
+function indexTransitions(transitions) {
+  let index = TRANSITION_INDEXES.get(transitions);
+  if (!index || index.size !== transitions.length) {
+    index = new TransitionIndex(transitions);
+    TRANSITION_INDEXES.set(transitions, index);
   }
+  return index;
+}
+
+/**
+ * Final states of every final states array looked up so far, as a Set
+ * @type {WeakMap<string[], {length: number, states: Set<string>}>}
+ */
+const FINAL_STATE_SETS = new WeakMap();
+
+/**
+ * Returns final states as a Set for constant-time lookups, building it on
+ * first use and again whenever the array has changed length since. States
+ * replaced in place are not noticed, as for indexTransitions().
+ * @param {string[]} finalStates - Final states array
+ * @returns {Set<string>} The same states
+ */
+function finalStateSet(finalStates) {
+  let entry = FINAL_STATE_SETS.get(finalStates);
+  if (!entry || entry.length !== finalStates.length) {
+    entry = { length: finalStates.length, states: new Set(finalStates) };
+    FINAL_STATE_SETS.set(finalStates, entry);
+  }
+  return entry.states;
 }
 
 /**
@@ -45,24 +209,26 @@ class NFA {
    * @param {string[]} states - Array of all states
    * @param {string[]} alphabet - Array of input symbols
    * @param {Transition[]} transitions - Array of transitions
+   * @param {string[]} outputAlphabet - Output symbols of a Mealy or Moore machine
+   * @param {Object<string, string>} stateOutputs - Output of every state of a Moore machine
    */
-  constructor(initialState, finalStates, states, alphabet, transitions) {
+  constructor(initialState, finalStates, states, alphabet, transitions, outputAlphabet = [], stateOutputs = {}) {
     if (typeof initialState !== 'string') {
       throw new Error('Expected a single initial state (string)');
     }
 
     if (!Array.isArray(finalStates)) {
-      console.warn('Expected finalStates in NFA to be an array');
+      engineLogger.warn('Expected finalStates in NFA to be an array');
       finalStates = [finalStates.toString()];
     }
 
     if (!Array.isArray(alphabet)) {
-      console.warn('Expected alphabet in NFA to be an array');
+      engineLogger.warn('Expected alphabet in NFA to be an array');
       alphabet = [alphabet.toString()];
     }
 
     if (!Array.isArray(transitions)) {
-      console.warn('Expected transitions in NFA to be an array');
+      engineLogger.warn('Expected transitions in NFA to be an array');
       transitions = [transitions];
     }
 
@@ -71,26 +237,69 @@ class NFA {
     this.states = states;
     this.alphabet = alphabet;
     this.transitions = transitions;
+    this.outputAlphabet = outputAlphabet;
+    this.stateOutputs = stateOutputs;
+  }
+
+  /**
+   * Kind of machine: 'mealy' when transitions have outputs, 'moore' when
+   * states have outputs, 'acceptor' otherwise
+   * @type {string}
+   */
+  get machineType() {
+    if (this.transitions.some(t => t.output !== null)) return 'mealy';
+    if (Object.keys(this.stateOutputs).length > 0) return 'moore';
+    return 'acceptor';
+  }
+
+  /**
+   * Label of a state, with its Moore output after a slash
+   * @param {string} state - The state
+   * @returns {string} Formatted state with its output, if any
+   */
+  stateLabel(state) {
+    const name = this.formatDotState(state);
+    return state in this.stateOutputs ? `${name}/${this.stateOutputs[state]}` : name;
   }
 
   /**
    * Converts the NFA to DOT format for visualization
+   * @param {Map<string, string>|null} legend - Original name of every state, shown as its tooltip
    * @returns {string} DOT format string representation
    */
-  toDotString() {
+  toDotString(legend = null) {
     const dotLines = [
       'digraph fsm {',
       'rankdir=LR;',
       'size="8,5";',
-      'node [shape = point]; INITIAL_STATE',
-      `node [shape = doublecircle]; ${this.finalStates.join(',')};`,
-      'node [shape = circle];',
-      `INITIAL_STATE -> ${this.formatDotState(this.initialState)};`
+      'node [shape = point]; INITIAL_STATE'
     ];
 
-    this.transitions.forEach(t => {
+    // Transducers need not have final states
+    if (this.finalStates.length > 0) {
+      dotLines.push(`node [shape = doublecircle]; ${this.finalStates.map(quoteDot).join(' ')};`);
+    }
+
+    dotLines.push(
+      'node [shape = circle];',
+      `INITIAL_STATE -> ${quoteDot(this.formatDotState(this.initialState))};`
+    );
+
+    // Moore outputs are shown in the state labels
+    Object.keys(this.stateOutputs).forEach(state => {
+      dotLines.push(`${quoteDot(this.formatDotState(state))} [label=${quoteDot(this.stateLabel(state))}];`);
+    });
+
+    if (legend) {
+      this.states.filter(state => legend.has(state)).forEach(state => {
+        dotLines.push(`${quoteDot(this.formatDotState(state))} [tooltip=${quoteDot(legend.get(state))}];`);
+      });
+    }
+
+    groupEdgeLabels(this.transitions).forEach(({ state, nextState, labels }) => {
       dotLines.push(
-        `${this.formatDotState(t.state)} -> ${this.formatDotState(t.nextStates)} [label=${t.symbol}];`
+        `${quoteDot(this.formatDotState(state))} -> ${quoteDot(this.formatDotState(nextState))} ` +
+        `[label=${quoteDot(combineSymbolLabels(labels))}];`
       );
     });
 
@@ -99,42 +308,168 @@ class NFA {
   }
 
   /**
-   * Formats a state for DOT representation
+   * Formats a state for display. Subsets keep their braces and commas, so
+   * {q1,q2} can never be mistaken for a state named q1q2.
    * @param {string} stateStr - State to format
    * @returns {string} Formatted state string
    */
   formatDotState(stateStr) {
-    stateStr = stateStr.toString();
-    if (isMultiState(stateStr)) {
-      return stateStr.slice(1, -1).replace(/,/g, '');
+    return stateStr.toString();
+  }
+
+  /**
+   * Converts the automaton to a plain object for JSON.stringify. DFA final
+   * states are stored in their formatted DOT form, so they are mapped back
+   * to the matching state names.
+   * @returns {Object} Plain object with the same fields as the NFA
+   */
+  toJSON() {
+    const data = {
+      initialState: this.initialState,
+      finalStates: this.finalStates.map(fs =>
+        this.states.find(s => this.formatDotState(s) === fs) || fs
+      ),
+      states: this.states,
+      alphabet: this.alphabet,
+      transitions: this.transitions.map(({ state, nextStates, symbol, output }) => (
+        output === null ? { state, nextStates, symbol } : { state, nextStates, symbol, output }
+      ))
+    };
+
+    // Only transducers carry outputs
+    if (this.machineType !== 'acceptor') {
+      data.outputAlphabet = this.outputAlphabet;
+      if (this.machineType === 'moore') data.stateOutputs = this.stateOutputs;
+    }
+
+    return data;
+  }
+
+  /**
+   * Creates an NFA from a plain object such as the output of toJSON().
+   * The states and alphabet are derived from the transitions when missing.
+   * @param {Object} data - Plain object with initialState, finalStates and transitions
+   * @returns {NFA} The parsed NFA
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.transitions)) {
+      throw new Error('Expected an object with a transitions array');
+    }
+
+    const transitions = data.transitions.map(t =>
+      new Transition(t.state, t.nextStates, t.symbol, typeof t.output === 'string' ? t.output : null)
+    );
+    const states = Array.isArray(data.states) ? data.states.slice() : [data.initialState];
+    const alphabet = Array.isArray(data.alphabet) ? data.alphabet.slice() : [];
+    const knownStates = new Set(states);
+
+    transitions.forEach(t => {
+      [t.state, ...t.nextStates].forEach(s => {
+        if (!knownStates.has(s)) {
+          knownStates.add(s);
+          states.push(s);
+        }
+      });
+      if (!Array.isArray(data.alphabet) && t.symbol !== '\u03BB' && t.symbol !== '' &&
+        !alphabet.includes(t.symbol)) {
+        alphabet.push(t.symbol);
+      }
+    });
+
+    const stateOutputs = data.stateOutputs && typeof data.stateOutputs === 'object' ? { ...data.stateOutputs } : {};
+    const outputAlphabet = Array.isArray(data.outputAlphabet) ? data.outputAlphabet.slice() : [];
+    if (!Array.isArray(data.outputAlphabet)) {
+      transitions.forEach(t => {
+        if (t.output !== null && !outputAlphabet.includes(t.output)) outputAlphabet.push(t.output);
+      });
+      Object.values(stateOutputs).forEach(output => {
+        if (!outputAlphabet.includes(output)) outputAlphabet.push(output);
+      });
     }
-    return stateStr;
+
+    return new NFA(data.initialState, data.finalStates, states, alphabet, transitions, outputAlphabet, stateOutputs);
+  }
+
+  /**
+   * Symbols that get a column in the transition table: the alphabet, and
+   * lambda when the automaton has lambda transitions
+   * @type {string[]}
+   */
+  get tableSymbols() {
+    return this.transitions.some(t => t.symbol === '\u03BB')
+      ? [...this.alphabet, '\u03BB']
+      : this.alphabet;
+  }
+
+  /**
+   * Builds the header of the transition table
+   * @param {Map<string, string>|null} legend - Original name of every state, given a column after State
+   * @returns {string[]} State, the symbols of tableSymbols and, for a Moore machine, Output
+   */
+  transitionTableHeader(legend = null) {
+    const header = ['State', ...(legend ? ['NFA states'] : []), ...this.tableSymbols];
+    return this.machineType === 'moore' ? [...header, 'Output'] : header;
+  }
+
+  /**
+   * Builds the cells of the transition table, one row per state. A cell
+   * holds the next state, or the set of next states of an NFA. Mealy
+   * outputs follow each next state after a slash, and Moore outputs get a
+   * column of their own.
+   * @param {boolean} markers - Whether to mark the initial state with an arrow and final states with *
+   * @param {Map<string, string>|null} legend - Original name of every state, given a column after the state
+   * @returns {string[][]} Rows of the state followed by its next states per symbol
+   */
+  transitionTableRows(markers = false, legend = null) {
+    const moore = this.machineType === 'moore';
+    const index = indexTransitions(this.transitions);
+    const symbols = this.tableSymbols;
+
+    return this.states.map(state => {
+      let name = this.formatDotState(state);
+      if (markers) {
+        name = (isFinalState(this, state) ? '*' : '') + name;
+        name = (state === this.initialState ? '\u2192' : '') + name;
+      }
+
+      const row = [
+        name,
+        ...(legend ? [legend.has(state) ? legend.get(state) : '-'] : []),
+        ...symbols.map(symbol => {
+          const targets = [];
+          index.transitionsFrom(state, symbol).forEach(t => {
+            addAll(targets, t.nextStates.map(next => {
+              const formatted = this.formatDotState(next);
+              return t.output === null ? formatted : `${formatted}/${t.output}`;
+            }));
+          });
+
+          if (targets.length === 0) return '-';
+          return targets.length === 1 ? targets[0] : `{${targets.join(', ')}}`;
+        })
+      ];
+      if (moore) row.push(state in this.stateOutputs ? this.stateOutputs[state] : '-');
+      return row;
+    });
   }
 
   /**
-   * Generates a transition table for the DFA
+   * Generates the transition table, with the initial and final states marked
+   * @param {Map<string, string>|null} legend - Original name of every state, given a column after State
    * @returns {string} HTML table representation of transitions
    */
-  generateTransitionTable() {
-    let tableHtml = '<table class="table table-bordered table-hover"><thead><tr><th>State</th>';
+  generateTransitionTable(legend = null) {
+    let tableHtml = '<table class="table table-bordered table-hover"><thead><tr>';
 
-    // Add alphabet symbols as column headers
-    this.alphabet.forEach(symbol => {
-      tableHtml += `<th>${symbol}</th>`;
+    // The symbols, and the Moore outputs, as column headers
+    this.transitionTableHeader(legend).forEach(cell => {
+      tableHtml += `<th>${escapeHtml(cell)}</th>`;
     });
     tableHtml += '</tr></thead><tbody>';
 
     // Add rows for each state
-    this.states.forEach(state => {
-      tableHtml += `<tr><td>${this.formatDotState(state)}</td>`;
-
-      this.alphabet.forEach(symbol => {
-        const nextStates = findNextStates(state, symbol, this.transitions);
-        const nextState = nextStates.length > 0 ? this.formatDotState(nextStates[0]) : '-';
-        tableHtml += `<td>${nextState}</td>`;
-      });
-
-      tableHtml += '</tr>';
+    this.transitionTableRows(true, legend).forEach(row => {
+      tableHtml += `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
     });
 
     tableHtml += '</tbody></table>';
@@ -142,6 +477,23 @@ class NFA {
   }
 }
 
+/**
+ * Represents the elimination of lambda transitions from an NFA
+ */
+class LambdaElimination {
+  /**
+   * Creates a new LambdaElimination
+   * @param {Map<string, string[]>} closures - Lambda-closure of every state
+   * @param {NFA} nfa - The lambda-free NFA
+   * @param {string[]} addedFinalStates - States made final because their closure reached a final state
+   */
+  constructor(closures, nfa, addedFinalStates) {
+    this.closures = closures;
+    this.nfa = nfa;
+    this.addedFinalStates = addedFinalStates;
+  }
+}
+
 /**
  * Computes lambda closure of an NFA
  * @param {NFA} nfa - Input NFA
@@ -151,11 +503,23 @@ function lambdaClosureNFA(nfa) {
   const hasLambda = nfa.transitions.some(t => t.symbol === '' || t.symbol === '\u03BB');
   if (!hasLambda) return nfa;
 
+  return eliminateLambdas(nfa).nfa;
+}
+
+/**
+ * Eliminates the lambda transitions of an NFA, keeping the closures and
+ * the final states that had to be added along the way
+ * @param {NFA} nfa - Input NFA
+ * @returns {LambdaElimination} Closures and lambda-free NFA
+ */
+function eliminateLambdas(nfa) {
+  const closures = new Map();
   const nfaClosedTransitions = [];
 
   nfa.states.forEach(state => {
     const stateClosure = fetch_E_Closure(state, nfa.transitions);
-    console.debug(`Lambda-closure of ${state}: ${stateClosure}`);
+    closures.set(state, stateClosure);
+    engineLogger.debug(`Lambda-closure of ${state}: ${stateClosure}`);
 
     nfa.alphabet.forEach(symbol => {
       const symbolNextStates = [];
@@ -174,7 +538,7 @@ function lambdaClosureNFA(nfa) {
       });
 
       symbolNextStates.sort();
-      console.log(`NFA Closure: ${state} -> ${symbol} = ${symbolNextStates} (Length ${symbolNextStates.length})`);
+      engineLogger.log(`NFA Closure: ${state} -> ${symbol} = ${symbolNextStates} (Length ${symbolNextStates.length})`);
       nfaClosedTransitions.push(new Transition(state, symbolNextStates, symbol));
     });
   });
@@ -182,24 +546,26 @@ function lambdaClosureNFA(nfa) {
   // Handle special case for lambda from initial state to final state
   const initialStateClosure = fetch_E_Closure(nfa.initialState, nfa.transitions);
   const initClosureHasFinalState = nfa.finalStates.some(fs => initialStateClosure.includes(fs));
+  const addedFinalStates = initClosureHasFinalState && !nfa.finalStates.includes(nfa.initialState)
+    ? [nfa.initialState]
+    : [];
 
-  if (initClosureHasFinalState) {
-    nfa.finalStates.push(nfa.initialState);
-  }
+  // Copy rather than push, as the final states array may be shared with the caller
+  const finalStates = [...nfa.finalStates, ...addedFinalStates];
 
   const newNfa = new NFA(
     nfa.initialState,
-    nfa.finalStates,
+    finalStates,
     nfa.states,
     nfa.alphabet,
     nfaClosedTransitions
   );
 
-  console.log('--- Lambda NFA ---');
-  console.log(newNfa.toDotString());
-  console.log('--___--');
+  engineLogger.log('--- Lambda NFA ---');
+  engineLogger.log(newNfa.toDotString());
+  engineLogger.log('--___--');
 
-  return newNfa;
+  return new LambdaElimination(closures, newNfa, addedFinalStates);
 }
 
 /**
@@ -217,194 +583,648 @@ function fetch_E_Closure(state, transitions) {
     throw new Error('Expected transitions parameter to be an array');
   }
 
-  const eClosure = [state];
+  return indexTransitions(transitions).closure(state).slice();
+}
 
-  transitions.forEach(t => {
-    if (t.symbol.trim() === '' || t.symbol.trim() === '\u03BB') {
-      if (state === t.state) {
-        if (!Array.isArray(t.nextStates)) {
-          throw new Error('Expected nextStates in NFA to be an array');
-        }
+/**
+ * Renames the states named like subsets ("{q0,q1}") after their states
+ * written together ("q0q1"), with primes added while the name is taken
+ * @param {NFA} automaton - Input automaton, such as a DFA
+ * @returns {NFA} Automaton whose state names have no braces or commas
+ */
+function flattenSubsetNames(automaton) {
+  const names = new Map();
+  const taken = new Set(automaton.states.filter(s => !isMultiState(s)));
+
+  automaton.states.filter(isMultiState).forEach(state => {
+    let name = separateStates(state).join('');
+    while (taken.has(name)) name += "'";
+    taken.add(name);
+    names.set(state, name);
+  });
 
-        t.nextStates.forEach(nextState => {
-          if (!eClosure.includes(nextState)) {
-            eClosure.push(nextState);
-            const subEClosure = fetch_E_Closure(nextState, transitions);
-            subEClosure.forEach(s => {
-              if (!eClosure.includes(s)) {
-                eClosure.push(s);
-              }
-            });
-          }
-        });
-      }
-    }
+  return renameStates(automaton, s => names.get(s) || s);
+}
+
+/**
+ * Creates a copy of an automaton with every state renamed
+ * @param {NFA} automaton - Input automaton
+ * @param {function(string): string} rename - Maps an old state name to the new one
+ * @returns {NFA} Renamed automaton
+ */
+function renameStates(automaton, rename) {
+  const stateOutputs = {};
+  Object.entries(automaton.stateOutputs).forEach(([state, output]) => {
+    stateOutputs[rename(state)] = output;
   });
 
-  return eClosure;
+  return new NFA(
+    rename(automaton.initialState),
+    automaton.toJSON().finalStates.map(rename),
+    automaton.states.map(rename),
+    automaton.alphabet,
+    automaton.transitions.map(t =>
+      new Transition(rename(t.state), t.nextStates.map(rename), t.symbol, t.output)
+    ),
+    automaton.outputAlphabet,
+    stateOutputs
+  );
 }
 
 /**
- * Converts NFA to DFA using subset construction
- * @param {NFA} nfa - Input NFA
- * @param {number} stepCounterStop - Optional step limit (-1 for no limit)
- * @returns {NFA} Equivalent DFA
+ * Names the states of an automaton D0, D1 and so on, or with another
+ * prefix, in breadth-first order from the initial state, following the
+ * symbols in alphabet order. States that cannot be reached are named last.
+ * @param {NFA} automaton - Input automaton
+ * @param {string} prefix - Text before the number of every state
+ * @returns {Map<string, string>} New name of every state
  */
-function generateDFA(nfa, stepCounterStop = -1) {
-  let stepCounter = 0;
-  let stepInterrupt = false;
+function nameStatesInOrder(automaton, prefix = 'D') {
+  const index = indexTransitions(automaton.transitions);
+  const symbols = automaton.tableSymbols;
+  const order = [automaton.initialState];
+  const seen = new Set(order);
+
+  for (let i = 0; i < order.length; i++) {
+    symbols.forEach(symbol => {
+      index.next(order[i], symbol).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          order.push(next);
+        }
+      });
+    });
+  }
+  automaton.states.forEach(state => {
+    if (!seen.has(state)) order.push(state);
+  });
 
-  nfa = lambdaClosureNFA(nfa);
+  return new Map(order.map((state, i) => [state, `${prefix}${i}`]));
+}
 
-  const dfaStates = [nfa.initialState];
-  const dfaFinalStates = [];
-  const dfaTransitions = [];
-  const stack = [nfa.initialState];
+/**
+ * Renames the states of an automaton, keeping a legend of their original
+ * names. States without a new name keep their own.
+ * @param {NFA} automaton - Input automaton, usually a DFA whose states are NFA subsets
+ * @param {Map<string, string>} names - New name of every state, such as the output of nameStatesInOrder()
+ * @returns {{automaton: NFA, legend: Map<string, string>}} Renamed automaton and the original name of every renamed state
+ */
+function relabelWithLegend(automaton, names) {
+  const legend = new Map();
+  automaton.states.forEach(state => {
+    if (names.has(state)) legend.set(names.get(state), automaton.formatDotState(state));
+  });
 
-  while (stack.length > 0) {
-    const state = stack.pop();
-    console.log(`Pop'd state: ${state}`);
+  return { automaton: renameStates(automaton, s => names.get(s) || s), legend };
+}
+
+/**
+ * Represents one step of the subset construction: a subset is taken off
+ * the worklist and its move on every symbol is computed
+ */
+class SubsetStep {
+  /**
+   * Creates a new SubsetStep
+   * @param {string} subset - The DFA state taken off the worklist
+   * @param {string[]} closure - Lambda-closure of its NFA states in the original NFA
+   * @param {{symbol: string, targets: string[], subset: string, isNew: boolean}[]} moves - Target subset per symbol
+   * @param {string[]} newSubsets - DFA states discovered in this step
+   * @param {boolean} trapCreated - Whether this step added the TRAP state
+   * @param {Transition[]} transitions - DFA transitions added in this step
+   */
+  constructor(subset, closure, moves, newSubsets, trapCreated, transitions) {
+    this.subset = subset;
+    this.closure = closure;
+    this.moves = moves;
+    this.newSubsets = newSubsets;
+    this.trapCreated = trapCreated;
+    this.transitions = transitions;
+  }
+}
 
-    if (++stepCounter === stepCounterStop) {
-      stepInterrupt = true;
-      break;
+/**
+ * Runs the subset construction one worklist entry at a time. Every step is
+ * kept, so the DFA as it was after any number of steps can be rebuilt.
+ *
+ * Lambda transitions are either eliminated first (two-phase), or kept and
+ * followed during the construction, in which case every DFA state is the
+ * lambda-closure of a subset.
+ */
+class SubsetConstruction {
+  /**
+   * Creates a new SubsetConstruction
+   * @param {NFA} nfa - Input NFA
+   * @param {boolean} inlineClosure - Follow lambda transitions during the construction instead of eliminating them first
+   * @param {number} maxStates - Number of DFA states after which the construction gives up
+   * @param {NFA|null} lambdaFreeNFA - The NFA with its lambda transitions eliminated, if already known
+   */
+  constructor(nfa, inlineClosure = false, maxStates = Infinity, lambdaFreeNFA = null) {
+    // States named like subsets ("{q0,q1}"), e.g. from an earlier DFA, would
+    // be split apart again below
+    if (nfa.states.some(isMultiState)) {
+      nfa = flattenSubsetNames(nfa);
     }
 
+    this.originalNFA = nfa;
+    this.inlineClosure = inlineClosure;
+    this.maxStates = maxStates;
+    this.nfa = inlineClosure ? nfa : lambdaFreeNFA || lambdaClosureNFA(nfa);
+    this.initialState = inlineClosure
+      ? combineStates(this.closeStates([nfa.initialState]))
+      : nfa.initialState;
+    this.stack = [this.initialState];
+    this.dfaStates = [this.initialState];
+    this.knownSubsets = new Set(this.dfaStates);
+    this.steps = [];
+  }
+
+  /**
+   * Computes the lambda-closure of a set of states in the original NFA
+   * @param {string[]} states - NFA states
+   * @returns {string[]} Sorted closure
+   */
+  closeStates(states) {
+    const index = indexTransitions(this.originalNFA.transitions);
+    const closure = new Set();
+    states.forEach(s => {
+      index.closure(s).forEach(c => closure.add(c));
+    });
+    return Array.from(closure).sort();
+  }
+
+  /**
+   * Rebuilds the worklist as it was after a number of steps
+   * @param {number} stepCount - Number of steps taken (defaults to all taken so far)
+   * @returns {string[]} Subsets waiting to be processed, next one last
+   */
+  worklistAt(stepCount = this.steps.length) {
+    const worklist = [this.initialState];
+    this.steps.slice(0, stepCount).forEach(step => {
+      worklist.pop();
+      step.newSubsets.filter(s => s !== 'TRAP').forEach(s => worklist.push(s));
+    });
+    return worklist;
+  }
+
+  /**
+   * Whether the worklist is empty
+   * @type {boolean}
+   */
+  get done() {
+    return this.stack.length === 0;
+  }
+
+  /**
+   * Takes the next subset off the worklist and computes its moves
+   * @returns {SubsetStep|null} The step, or null if the construction is complete
+   */
+  step() {
+    if (this.done) return null;
+
+    const { nfa } = this;
+    const state = this.stack.pop();
+    engineLogger.log(`Pop'd state: ${state}`);
+
     const states = isMultiState(state) ? separateStates(state) : [state];
+    const closure = this.closeStates(states);
+
+    const moves = [];
+    const newSubsets = [];
+    const transitions = [];
+    let trapCreated = false;
+
+    const index = indexTransitions(nfa.transitions);
 
     nfa.alphabet.forEach(symbol => {
-      const nextStatesUnion = [];
+      const union = new Set();
 
       states.forEach(s => {
-        const ns = findNextStates(s, symbol, nfa.transitions);
-        ns.forEach(n => {
-          if (!nextStatesUnion.includes(n)) nextStatesUnion.push(n);
-        });
+        const ns = index.next(s, symbol);
+        (this.inlineClosure ? this.closeStates(ns) : ns).forEach(n => union.add(n));
       });
 
-      const combinedStatesUnion = combineStates(nextStatesUnion);
+      const nextStatesUnion = Array.from(union);
+      const combinedStatesUnion = combineStates(nextStatesUnion) || 'TRAP';
+      const isNew = !this.knownSubsets.has(combinedStatesUnion);
+      engineLogger.log(`${state}, ${symbol} -> ${combinedStatesUnion}`);
 
-      if (combinedStatesUnion) {
-        console.log(`${state}, ${symbol} -> ${combinedStatesUnion}`);
-        dfaTransitions.push(new Transition(state, combinedStatesUnion, symbol));
+      if (isNew && combinedStatesUnion === 'TRAP') {
+        nfa.alphabet.forEach(a => transitions.push(new Transition('TRAP', ['TRAP'], a)));
+        trapCreated = true;
+      } else if (isNew) {
+        this.stack.push(combinedStatesUnion);
+      }
 
-        if (!dfaStates.includes(combinedStatesUnion)) {
-          dfaStates.push(combinedStatesUnion);
-          stack.push(combinedStatesUnion);
-        }
-      } else {
-        console.log('TRAP state needed');
-
-        if (!dfaStates.includes('TRAP')) {
-          nfa.alphabet.forEach(a =>
-            dfaTransitions.push(new Transition('TRAP', ['TRAP'], a))
-          );
-          dfaStates.push('TRAP');
-        }
+      if (isNew) {
+        this.dfaStates.push(combinedStatesUnion);
+        this.knownSubsets.add(combinedStatesUnion);
+        newSubsets.push(combinedStatesUnion);
 
-        dfaTransitions.push(new Transition(state, ['TRAP'], symbol));
+        if (this.dfaStates.length > this.maxStates) {
+          throw new Error(`The DFA has more than ${this.maxStates} states`);
+        }
       }
+
+      transitions.push(new Transition(state, [combinedStatesUnion], symbol));
+      moves.push({ symbol, targets: nextStatesUnion.sort(), subset: combinedStatesUnion, isNew });
     });
+
+    const step = new SubsetStep(
+      state,
+      closure,
+      moves,
+      newSubsets,
+      trapCreated,
+      transitions
+    );
+    this.steps.push(step);
+    return step;
   }
 
-  console.log('--- NFA Final States ---');
-  console.log(nfa.finalStates);
-  console.log('-----');
+  /**
+   * Runs the remaining steps
+   * @returns {SubsetConstruction} This construction, for chaining
+   */
+  run() {
+    while (!this.done) this.step();
+    return this;
+  }
 
-  dfaStates.forEach(dfaState => {
-    const dfaSepStates = separateStates(dfaState);
-    const isFinal = nfa.finalStates.some(fs => dfaSepStates.includes(fs));
-    if (isFinal) {
-      dfaFinalStates.push(nfa.formatDotState(dfaState));
-    }
-  });
+  /**
+   * Builds the DFA as it was after a number of steps
+   * @param {number} stepCount - Number of steps to include (defaults to all taken so far)
+   * @returns {NFA} The (partial) DFA
+   */
+  toDFA(stepCount = this.steps.length) {
+    const { nfa } = this;
+    const steps = this.steps.slice(0, stepCount);
+    const dfaStates = [this.initialState];
+    const dfaTransitions = [];
+
+    steps.forEach(step => {
+      step.newSubsets.forEach(s => dfaStates.push(s));
+      step.transitions.forEach(t => dfaTransitions.push(t));
+    });
 
-  if (!stepInterrupt) {
-    LAST_COMPLETED_STEP_COUNT = stepCounter;
-    console.log(`LAST_COMPLETED_STEP_COUNT = ${stepCounter}`);
+    const finals = finalStateSet(nfa.finalStates);
+    const dfaFinalStates = dfaStates
+      .filter(dfaState => {
+        const dfaSepStates = isMultiState(dfaState) ? separateStates(dfaState) : [dfaState];
+        return dfaSepStates.some(s => finals.has(s));
+      })
+      .map(dfaState => nfa.formatDotState(dfaState));
+
+    return new NFA(
+      this.initialState,
+      dfaFinalStates,
+      dfaStates,
+      nfa.alphabet,
+      dfaTransitions
+    );
   }
 
-  const dfa = new NFA(
-    nfa.initialState,
-    dfaFinalStates,
-    dfaStates,
-    nfa.alphabet,
-    dfaTransitions
+  /**
+   * Converts the finished construction to a plain object, e.g. to post it
+   * from a Web Worker. The lambda-free NFA is included so that it is not
+   * computed again.
+   * @returns {Object} Plain object accepted by SubsetConstruction.fromJSON()
+   */
+  toJSON() {
+    return {
+      nfa: this.originalNFA.toJSON(),
+      lambdaFreeNFA: this.inlineClosure ? null : this.nfa.toJSON(),
+      inlineClosure: this.inlineClosure,
+      steps: this.steps
+    };
+  }
+
+  /**
+   * Restores a construction from the output of toJSON()
+   * @param {Object} data - Plain object with nfa, lambdaFreeNFA, inlineClosure and steps
+   * @returns {SubsetConstruction} The construction with all of its steps
+   */
+  static fromJSON(data) {
+    const construction = new SubsetConstruction(
+      NFA.fromJSON(data.nfa),
+      data.inlineClosure,
+      Infinity,
+      data.lambdaFreeNFA ? NFA.fromJSON(data.lambdaFreeNFA) : null
+    );
+
+    construction.steps = data.steps.map(step => new SubsetStep(
+      step.subset,
+      step.closure,
+      step.moves,
+      step.newSubsets,
+      step.trapCreated,
+      step.transitions.map(t => new Transition(t.state, t.nextStates, t.symbol))
+    ));
+    construction.steps.forEach(step => {
+      step.newSubsets.forEach(s => {
+        construction.dfaStates.push(s);
+        construction.knownSubsets.add(s);
+      });
+    });
+    construction.stack = construction.worklistAt();
+
+    return construction;
+  }
+}
+
+/**
+ * Converts NFA to DFA using subset construction
+ * @param {NFA} nfa - Input NFA
+ * @param {boolean} inlineClosure - Follow lambda transitions during the construction instead of eliminating them first
+ * @returns {NFA} Equivalent DFA
+ */
+function generateDFA(nfa, inlineClosure = false) {
+  return new SubsetConstruction(nfa, inlineClosure).run().toDFA();
+}
+
+/**
+ * Represents one refinement of the state partition during minimization
+ */
+class PartitionStep {
+  /**
+   * Creates a new PartitionStep
+   * @param {string[][]} partition - Blocks of states after this step
+   * @param {string[]|null} splitter - Block whose predecessors caused the split
+   * @param {string|null} symbol - Symbol the splitter was applied with
+   * @param {string[]|null} block - Block that was split
+   */
+  constructor(partition, splitter = null, symbol = null, block = null) {
+    this.partition = partition;
+    this.splitter = splitter;
+    this.symbol = symbol;
+    this.block = block;
+  }
+}
+
+/**
+ * Removes the states that cannot be reached from the initial state
+ * @param {NFA} dfa - Input DFA
+ * @returns {NFA} DFA containing only reachable states
+ */
+function removeUnreachableStates(dfa) {
+  const index = indexTransitions(dfa.transitions);
+  const reachable = [dfa.initialState];
+  const seen = new Set(reachable);
+
+  for (let i = 0; i < reachable.length; i++) {
+    index.successors(reachable[i]).forEach(ns => {
+      if (!seen.has(ns)) {
+        seen.add(ns);
+        reachable.push(ns);
+      }
+    });
+  }
+
+  const formatted = new Set(reachable.map(s => dfa.formatDotState(s)));
+
+  return new NFA(
+    dfa.initialState,
+    dfa.finalStates.filter(fs => seen.has(fs) || formatted.has(fs)),
+    dfa.states.filter(s => seen.has(s)),
+    dfa.alphabet,
+    dfa.transitions.filter(t => seen.has(t.state))
   );
+}
 
-  // Generate and display transition table
-  const transitionTable = dfa.generateTransitionTable();
-  document.getElementById('dfa-transition-table').innerHTML = transitionTable;
+/**
+ * Looks up the single target state of a DFA transition
+ * @param {NFA} dfa - Input DFA
+ * @param {string} state - Current state
+ * @param {string} symbol - Input symbol
+ * @returns {string|null} Next state, or null if the DFA has no such transition
+ */
+function dfaTarget(dfa, state, symbol) {
+  const nextStates = findNextStates(state, symbol, dfa.transitions);
+  return nextStates.length > 0 ? nextStates[0] : null;
+}
 
-  return dfa;
+/**
+ * Sends every missing move of a DFA to a trap state, named TRAP unless a
+ * state already has that name
+ * @param {NFA} dfa - Input DFA
+ * @returns {NFA} The DFA itself if it is complete, otherwise a copy with the trap state
+ */
+function completeDFA(dfa) {
+  const missing = [];
+  dfa.states.forEach(s => {
+    dfa.alphabet.forEach(symbol => {
+      if (dfaTarget(dfa, s, symbol) === null) missing.push(new Transition(s, [], symbol));
+    });
+  });
+  if (missing.length === 0) return dfa;
+
+  let trap = 'TRAP';
+  while (dfa.states.includes(trap)) trap += "'";
+  missing.forEach(t => t.nextStates.push(trap));
+
+  return new NFA(
+    dfa.initialState,
+    dfa.finalStates,
+    [...dfa.states, trap],
+    dfa.alphabet,
+    [...dfa.transitions, ...missing, ...dfa.alphabet.map(symbol => new Transition(trap, [trap], symbol))]
+  );
 }
 
 /**
- * Minimizes a DFA by combining equivalent states
+ * Splits the states of a DFA into blocks of equivalent states using
+ * Hopcroft's partition refinement. The DFA may be partial, in which case
+ * states are only kept together when they have moves on the same symbols.
  * @param {NFA} dfa - Input DFA
- * @returns {NFA} Minimized DFA
+ * @param {boolean} recordHistory - Keep a copy of the partition after every refinement
+ * @returns {{partition: string[][], history: PartitionStep[]}} Final blocks and every refinement
  */
-function minimizeDFA(dfa) {
-  console.log('TIME TO MINIMIZE!');
+function hopcroftPartition(dfa, recordHistory = true) {
+  const finals = dfa.states.filter(s => isFinalState(dfa, s));
+  const others = dfa.states.filter(s => !isFinalState(dfa, s));
+
+  const partition = [finals, others].filter(block => block.length > 0);
+  const history = [new PartitionStep(partition.map(block => block.slice()))];
+
+  const blockOf = new Map();
+  partition.forEach(block => block.forEach(s => blockOf.set(s, block)));
+
+  // Source states of the transitions into each state, per symbol
+  const sources = new Map(dfa.alphabet.map(symbol => [symbol, new Map()]));
+  let partial = false;
+  dfa.states.forEach(s => {
+    dfa.alphabet.forEach(symbol => {
+      const target = dfaTarget(dfa, s, symbol);
+      if (target === null) {
+        partial = true;
+        return;
+      }
 
-  dfa.states.forEach(state => {
-    dfa.states.forEach(state2 => {
-      if (
-        state !== state2 &&
-        dfa.finalStates.includes(dfa.formatDotState(state)) ===
-        dfa.finalStates.includes(dfa.formatDotState(state2))
-      ) {
-        let statesEqual = true;
+      const bySymbol = sources.get(symbol);
+      if (!bySymbol.has(target)) bySymbol.set(target, []);
+      bySymbol.get(target).push(s);
+    });
+  });
 
-        for (const symbol of dfa.alphabet) {
-          const state1NextStates = findNextStates(state, symbol, dfa.transitions);
-          const state2NextStates = findNextStates(state2, symbol, dfa.transitions);
+  // In a complete DFA only the smaller of the two initial blocks needs to be
+  // a splitter. In a partial one, both are needed to separate the states
+  // that have a move on a symbol from those that have none.
+  let worklist = partition.slice();
+  if (!partial && partition.length > 1) {
+    worklist = [finals.length <= others.length ? finals : others];
+  }
 
-          if (!arraysEqual(state1NextStates, state2NextStates)) {
-            statesEqual = false;
-          }
+  while (worklist.length > 0) {
+    const splitter = worklist.pop();
+
+    dfa.alphabet.forEach(symbol => {
+      const predecessors = new Set();
+      splitter.forEach(target => {
+        (sources.get(symbol).get(target) || []).forEach(s => predecessors.add(s));
+      });
+      if (predecessors.size === 0) return;
+
+      // Only blocks holding a predecessor can be split
+      const touched = new Set();
+      predecessors.forEach(s => touched.add(blockOf.get(s)));
+
+      touched.forEach(block => {
+        const inside = block.filter(s => predecessors.has(s));
+        const outside = block.filter(s => !predecessors.has(s));
+        if (outside.length === 0) return;
+
+        partition.splice(partition.indexOf(block), 1, inside, outside);
+        inside.forEach(s => blockOf.set(s, inside));
+        outside.forEach(s => blockOf.set(s, outside));
+
+        const pending = worklist.indexOf(block);
+        if (pending !== -1) {
+          worklist.splice(pending, 1, inside, outside);
+        } else {
+          worklist.push(inside.length <= outside.length ? inside : outside);
         }
 
-        if (statesEqual) {
-          let [remove, replace] = [state, state2];
+        if (recordHistory) {
+          history.push(new PartitionStep(
+            partition.map(b => b.slice()),
+            splitter.slice(),
+            symbol,
+            block.slice()
+          ));
+        }
+      });
+    });
+  }
+
+  return { partition, history };
+}
 
-          if (dfa.initialState === remove) {
-            [remove, replace] = [state2, state];
-          }
+/**
+ * Builds the Myhill-Nerode distinguishability table by table filling.
+ * Every distinguishable pair is labelled with a shortest string accepted
+ * from exactly one of the two states.
+ * @param {NFA} dfa - Input DFA, complete like the output of generateDFA()
+ * @returns {Map<string, Map<string, string|null>>} Distinguishing string per state pair, null if equivalent
+ */
+function distinguishabilityTable(dfa) {
+  const table = new Map(dfa.states.map(s => [s, new Map()]));
+  const get = (p, q) => table.get(p).get(q);
+  const set = (p, q, word) => {
+    table.get(p).set(q, word);
+    table.get(q).set(p, word);
+  };
+
+  dfa.states.forEach(p => {
+    dfa.states.forEach(q => {
+      if (p !== q) {
+        set(p, q, isFinalState(dfa, p) !== isFinalState(dfa, q) ? '\u03BB' : null);
+      }
+    });
+  });
 
-          console.log(`The two states are equal [${remove} = ${replace}]`);
+  // Round k only reads the pairs marked in earlier rounds, so it marks the
+  // pairs whose shortest distinguishing string has k symbols
+  let marked = true;
+  while (marked) {
+    const found = [];
 
-          if (remove === 'TRAP') {
-            console.log('Trap state will not be removed.');
-            return;
+    dfa.states.forEach(p => {
+      dfa.states.forEach(q => {
+        if (p === q || get(p, q) !== null) return;
+
+        for (const symbol of dfa.alphabet) {
+          const pNext = dfaTarget(dfa, p, symbol);
+          const qNext = dfaTarget(dfa, q, symbol);
+          if (pNext === qNext || pNext === null || qNext === null) continue;
+
+          const suffix = get(pNext, qNext);
+          if (suffix !== null) {
+            found.push([p, q, suffix === '\u03BB' ? symbol : symbol + suffix]);
+            break;
           }
+        }
+      });
+    });
 
-          console.log(dfa.states);
-          console.log(`Delete ${remove}`);
+    found.forEach(([p, q, word]) => set(p, q, word));
+    marked = found.length > 0;
+  }
 
-          dfa.states = dfa.states.filter(s =>
-            dfa.formatDotState(s) !== dfa.formatDotState(remove)
-          );
+  return table;
+}
 
-          dfa.transitions = dfa.transitions.filter(t => {
-            if (t.state !== remove) {
-              if (t.nextStates[0] === remove) {
-                t.nextStates[0] = replace;
-              }
-              return true;
-            }
-            return false;
-          });
+/**
+ * Minimizes a DFA: unreachable states are removed first and a partial DFA
+ * is completed with completeDFA(), then equivalent states are merged with
+ * Hopcroft's partition refinement. Each block is named after its initial
+ * state, TRAP state or first state, in that order.
+ * @param {NFA} dfa - Input DFA (left unchanged)
+ * @returns {NFA} Minimized DFA
+ */
+function minimizeDFA(dfa) {
+  engineLogger.log('TIME TO MINIMIZE!');
 
-          dfa.finalStates = dfa.finalStates.filter(s =>
-            dfa.formatDotState(s) !== dfa.formatDotState(remove)
-          );
-        }
+  const reachableDFA = completeDFA(removeUnreachableStates(dfa));
+  const { partition } = hopcroftPartition(reachableDFA, false);
+
+  const representative = new Map();
+  partition.forEach(block => {
+    const name = block.includes(reachableDFA.initialState)
+      ? reachableDFA.initialState
+      : block.includes('TRAP') ? 'TRAP' : block[0];
+    block.forEach(s => representative.set(s, name));
+  });
+
+  const states = reachableDFA.states.filter(s => representative.get(s) === s);
+  const transitions = [];
+
+  states.forEach(state => {
+    reachableDFA.alphabet.forEach(symbol => {
+      const target = dfaTarget(reachableDFA, state, symbol);
+      if (target !== null) {
+        transitions.push(new Transition(state, [representative.get(target)], symbol));
       }
     });
   });
 
-  return dfa;
+  const finalStates = states
+    .filter(s => isFinalState(reachableDFA, s))
+    .map(s => reachableDFA.formatDotState(s));
+
+  engineLogger.log(`Minimized ${dfa.states.length} states to ${states.length}`);
+
+  return new NFA(reachableDFA.initialState, finalStates, states, reachableDFA.alphabet, transitions);
+}
+
+/**
+ * Checks if a state is accepting. DFA final states are stored in their
+ * formatted DOT form, so both spellings are compared.
+ * @param {NFA} automaton - The automaton owning the state
+ * @param {string} state - State to check
+ * @returns {boolean} True if the state is final
+ */
+function isFinalState(automaton, state) {
+  const finals = finalStateSet(automaton.finalStates);
+  return finals.has(state) || finals.has(automaton.formatDotState(state));
 }
 
 /**
@@ -415,16 +1235,122 @@ function minimizeDFA(dfa) {
  * @returns {string[]} Array of next states
  */
 function findNextStates(state, symbol, transitions) {
-  return transitions
-    .filter(t => t.state === state && t.symbol === symbol)
-    .reduce((acc, t) => {
-      t.nextStates.forEach(ns => {
-        if (!acc.includes(ns)) {
-          acc.push(ns);
-        }
-      });
-      return acc;
-    }, []);
+  return indexTransitions(transitions).next(state, symbol).slice();
+}
+
+/**
+ * Appends the items missing from an array
+ * @param {string[]} target - Array to extend
+ * @param {string[]} items - Items to add
+ */
+function addAll(target, items) {
+  items.forEach(item => {
+    if (!target.includes(item)) target.push(item);
+  });
+}
+
+/**
+ * Quotes a state name or label as a DOT string, so spaces, quotes, dashes
+ * and keywords such as "node" cannot break the graph
+ * @param {string} text - Text to quote
+ * @returns {string} Double-quoted DOT string
+ */
+const quoteDot = text =>
+  `"${text.toString().replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Escapes text for use in HTML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = text =>
+  text.toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Expands a symbol class into the symbols it stands for. Alternatives are
+ * separated by |, and a range of letters or digits such as a-z or 0-9
+ * stands for every character in it. Anything else is a symbol of its own.
+ * @param {string} symbol - Symbol or class, such as a-c|x
+ * @returns {string[]} The symbols, without duplicates
+ */
+function expandSymbolClass(symbol) {
+  const symbols = [];
+  const parts = symbol.includes('|') && symbol.length > 1
+    ? symbol.split('|').map(part => part.trim()).filter(part => part)
+    : [symbol];
+
+  parts.forEach(part => {
+    const range = part.match(/^([a-z]-[a-z]|[A-Z]-[A-Z]|[0-9]-[0-9])$/);
+    const first = part.charCodeAt(0);
+    const last = part.charCodeAt(2);
+
+    if (!range || first > last) {
+      addAll(symbols, [part]);
+      return;
+    }
+    for (let code = first; code <= last; code++) {
+      addAll(symbols, [String.fromCharCode(code)]);
+    }
+  });
+
+  return symbols;
+}
+
+/**
+ * Writes the labels of the transitions drawn as one edge, separated by
+ * commas. Runs of three or more consecutive letters or digits are written
+ * as a range, like a-z.
+ * @param {string[]} labels - Labels of the transitions, in order
+ * @returns {string} Combined edge label
+ */
+function combineSymbolLabels(labels) {
+  const isRangeable = label => /^[a-zA-Z0-9]$/.test(label);
+  const parts = [];
+
+  for (let i = 0; i < labels.length; i++) {
+    let end = i;
+    while (
+      end + 1 < labels.length &&
+      isRangeable(labels[end]) &&
+      isRangeable(labels[end + 1]) &&
+      labels[end + 1].charCodeAt(0) === labels[end].charCodeAt(0) + 1
+    ) {
+      end++;
+    }
+
+    if (end - i >= 2) {
+      parts.push(`${labels[i]}-${labels[end]}`);
+      i = end;
+    } else {
+      parts.push(labels[i]);
+    }
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Groups transitions by the pair of states they connect, so that every
+ * pair is drawn as a single edge
+ * @param {Transition[]} transitions - Array of transitions
+ * @returns {{state: string, nextState: string, labels: string[]}[]} One entry per edge, in order of appearance
+ */
+function groupEdgeLabels(transitions) {
+  const edges = new Map();
+
+  transitions.forEach(t => {
+    t.nextStates.forEach(nextState => {
+      const key = JSON.stringify([t.state, nextState]);
+      if (!edges.has(key)) edges.set(key, { state: t.state, nextState, labels: [] });
+      addAll(edges.get(key).labels, [t.label]);
+    });
+  });
+
+  return Array.from(edges.values());
 }
 
 /**
@@ -456,7 +1382,7 @@ function combineStates(states) {
   states = states.filter(e => e != null);
 
   if (states.length > 0 && Array.isArray(states[0])) {
-    console.warn('Sub-arrays are not expected for combineStates() function');
+    engineLogger.warn('Sub-arrays are not expected for combineStates() function');
     states = states[0];
   }
 
@@ -469,14 +1395,40 @@ function combineStates(states) {
   return `{${states.join(',')}}`;
 }
 
-/**
- * Checks if two arrays are equal
- * @param {Array} a - First array
- * @param {Array} b - Second array
- * @returns {boolean} True if arrays are equal
- */
-const arraysEqual = (a, b) => {
-  if (a === b) return true;
-  if (!a || !b || a.length !== b.length) return false;
-  return a.every((val, i) => val === b[i]);
-};
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Transition,
+    TransitionIndex,
+    indexTransitions,
+    NFA,
+    PartitionStep,
+    setEngineLogger,
+    LambdaElimination,
+    lambdaClosureNFA,
+    eliminateLambdas,
+    fetch_E_Closure,
+    flattenSubsetNames,
+    renameStates,
+    nameStatesInOrder,
+    relabelWithLegend,
+    SubsetStep,
+    SubsetConstruction,
+    generateDFA,
+    removeUnreachableStates,
+    completeDFA,
+    hopcroftPartition,
+    distinguishabilityTable,
+    minimizeDFA,
+    dfaTarget,
+    isFinalState,
+    findNextStates,
+    quoteDot,
+    escapeHtml,
+    expandSymbolClass,
+    combineSymbolLabels,
+    groupEdgeLabels,
+    isMultiState,
+    separateStates,
+    combineStates
+  };
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Represents the outcome of comparing the languages of two automata
+ */
+class EquivalenceResult {
+  /**
+   * Creates a new EquivalenceResult
+   * @param {boolean} equivalent - Whether both automata accept the same language
+   * @param {string[]|null} counterexample - Shortest word accepted by exactly one automaton
+   * @param {number|null} acceptedBy - Index (0 or 1) of the automaton accepting the counterexample
+   */
+  constructor(equivalent, counterexample = null, acceptedBy = null) {
+    this.equivalent = equivalent;
+    this.counterexample = counterexample;
+    this.acceptedBy = acceptedBy;
+  }
+}
+
+/**
+ * Decides whether two automata accept the same language. Both are
+ * determinized with generateDFA, then the reachable pairs of their product
+ * are searched breadth-first, so the first pair that disagrees on
+ * acceptance gives a shortest distinguishing word. Symbols missing from one
+ * alphabet lead that automaton to a rejecting dead state.
+ * @param {NFA} first - First automaton
+ * @param {NFA} second - Second automaton
+ * @returns {EquivalenceResult} Verdict and counterexample
+ */
+function checkEquivalence(first, second) {
+  const dfas = [generateDFA(first), generateDFA(second)];
+  const alphabet = dfas[0].alphabet.slice();
+  dfas[1].alphabet.forEach(symbol => {
+    if (!alphabet.includes(symbol)) alphabet.push(symbol);
+  });
+
+  // null stands for the implicit dead state
+  const accepts = (dfa, state) => state !== null && isFinalState(dfa, state);
+  const step = (dfa, state, symbol) =>
+    state === null ? null : dfaTarget(dfa, state, symbol);
+  const pairKey = pair => JSON.stringify(pair);
+
+  const start = [dfas[0].initialState, dfas[1].initialState];
+  const queue = [{ pair: start, word: [] }];
+  const visited = new Set([pairKey(start)]);
+
+  while (queue.length > 0) {
+    const { pair, word } = queue.shift();
+    const accepted = pair.map((state, i) => accepts(dfas[i], state));
+
+    if (accepted[0] !== accepted[1]) {
+      return new EquivalenceResult(false, word, accepted[0] ? 0 : 1);
+    }
+
+    alphabet.forEach(symbol => {
+      const nextPair = pair.map((state, i) => step(dfas[i], state, symbol));
+      const key = pairKey(nextPair);
+
+      if (!visited.has(key)) {
+        visited.add(key);
+        queue.push({ pair: nextPair, word: [...word, symbol] });
+      }
+    });
+  }
+
+  return new EquivalenceResult(true);
+}
@@ -0,0 +1,669 @@
+/**
+ * Horizontal and vertical spacing, in pixels, between states in exported JFLAP files
+ * @type {{x: number, y: number}}
+ */
+const JFF_LAYOUT_SPACING = { x: 150, y: 120 };
+
+/**
+ * DOT node shapes used for the invisible start marker pointing at the initial state
+ * @type {string[]}
+ */
+const DOT_START_SHAPES = ['point', 'none', 'plaintext', 'plain'];
+
+/**
+ * Checks if a transition symbol stands for lambda in an imported file
+ * @param {string} symbol - Symbol to check
+ * @returns {boolean} True if the symbol means the empty string
+ */
+const isImportedLambda = symbol =>
+  ['', '\u03BB', '\u03B5', 'lambda', 'epsilon', 'eps'].includes(symbol.trim().toLowerCase());
+
+/**
+ * Builds an NFA from parsed states and transitions, deriving the alphabet
+ * and, for a Mealy or Moore machine, the output alphabet
+ * @param {string} initialState - The initial state
+ * @param {string[]} finalStates - Array of final states
+ * @param {string[]} states - Array of all states
+ * @param {{from: string, to: string, symbol: string, output: (string|undefined)}[]} edges - Parsed transitions, with their Mealy output if any
+ * @param {Object<string, string>} stateOutputs - Moore output of every state
+ * @returns {NFA} The imported NFA
+ */
+function buildImportedNFA(initialState, finalStates, states, edges, stateOutputs = {}) {
+  const alphabet = [];
+  const outputAlphabet = [];
+  const transitions = edges.map(({ from, to, symbol, output = null }) => {
+    const read = isImportedLambda(symbol) ? '\u03BB' : symbol;
+    if (read !== '\u03BB' && !alphabet.includes(read)) alphabet.push(read);
+    if (output !== null && !outputAlphabet.includes(output)) outputAlphabet.push(output);
+    return new Transition(from, [to], read, output);
+  });
+  Object.values(stateOutputs).forEach(output => {
+    if (!outputAlphabet.includes(output)) outputAlphabet.push(output);
+  });
+
+  return new NFA(initialState, finalStates, states, alphabet, transitions, outputAlphabet, stateOutputs);
+}
+
+/**
+ * Parses a JFLAP finite automaton (.jff) file
+ * @param {string} text - Content of the .jff file
+ * @returns {NFA} The imported NFA
+ */
+function parseJFF(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML');
+  }
+
+  const type = doc.getElementsByTagName('type')[0];
+  if (type && type.textContent.trim() !== 'fa') {
+    throw new Error(`Only JFLAP finite automata are supported, not "${type.textContent.trim()}"`);
+  }
+
+  const names = new Map();
+  const states = [];
+  const finalStates = [];
+  let initialState = null;
+
+  Array.from(doc.getElementsByTagName('state')).forEach(el => {
+    const name = el.getAttribute('name') || `q${el.getAttribute('id')}`;
+    names.set(el.getAttribute('id'), name);
+    states.push(name);
+
+    if (el.getElementsByTagName('initial').length > 0) initialState = name;
+    if (el.getElementsByTagName('final').length > 0) finalStates.push(name);
+  });
+
+  if (initialState === null) {
+    throw new Error('The JFLAP automaton has no initial state');
+  }
+
+  const childText = (el, tag) => {
+    const child = el.getElementsByTagName(tag)[0];
+    return child ? child.textContent : '';
+  };
+
+  const edges = Array.from(doc.getElementsByTagName('transition')).map(el => {
+    const from = names.get(childText(el, 'from').trim());
+    const to = names.get(childText(el, 'to').trim());
+
+    if (from === undefined || to === undefined) {
+      throw new Error('A JFLAP transition refers to an unknown state');
+    }
+
+    return { from, to, symbol: childText(el, 'read') };
+  });
+
+  return buildImportedNFA(initialState, finalStates, states, edges);
+}
+
+/**
+ * Escapes text for use in XML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = text =>
+  text.toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Lays states out in columns by breadth-first distance from the initial
+ * state. States that cannot be reached go in a last column.
+ * @param {NFA} automaton - The automaton to lay out
+ * @returns {Map<string, {x: number, y: number}>} Position of every state
+ */
+function layoutStates(automaton) {
+  const depth = new Map([[automaton.initialState, 0]]);
+  const queue = [automaton.initialState];
+
+  while (queue.length > 0) {
+    const state = queue.shift();
+    automaton.transitions
+      .filter(t => t.state === state)
+      .forEach(t => {
+        t.nextStates.forEach(ns => {
+          if (!depth.has(ns)) {
+            depth.set(ns, depth.get(state) + 1);
+            queue.push(ns);
+          }
+        });
+      });
+  }
+
+  const lastColumn = Math.max(...depth.values()) + 1;
+  const rowsUsed = [];
+  const positions = new Map();
+
+  automaton.states.forEach(state => {
+    const column = depth.has(state) ? depth.get(state) : lastColumn;
+    const row = rowsUsed[column] || 0;
+    rowsUsed[column] = row + 1;
+    positions.set(state, {
+      x: 100 + column * JFF_LAYOUT_SPACING.x,
+      y: 100 + row * JFF_LAYOUT_SPACING.y
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Writes an automaton as a JFLAP finite automaton (.jff) file
+ * @param {NFA} automaton - The automaton to export
+ * @returns {string} Content of the .jff file
+ */
+function toJFF(automaton) {
+  const positions = layoutStates(automaton);
+  const ids = new Map(automaton.states.map((state, i) => [state, i]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<structure>',
+    '\t<type>fa</type>',
+    '\t<automaton>'
+  ];
+
+  automaton.states.forEach(state => {
+    const { x, y } = positions.get(state);
+    lines.push(`\t\t<state id="${ids.get(state)}" name="${escapeXml(automaton.formatDotState(state))}">`);
+    lines.push(`\t\t\t<x>${x.toFixed(1)}</x>`);
+    lines.push(`\t\t\t<y>${y.toFixed(1)}</y>`);
+    if (state === automaton.initialState) lines.push('\t\t\t<initial/>');
+    if (isFinalState(automaton, state)) lines.push('\t\t\t<final/>');
+    lines.push('\t\t</state>');
+  });
+
+  automaton.transitions.forEach(t => {
+    t.nextStates.forEach(ns => {
+      const isLambda = t.symbol === '' || t.symbol === '\u03BB';
+      lines.push('\t\t<transition>');
+      lines.push(`\t\t\t<from>${ids.get(t.state)}</from>`);
+      lines.push(`\t\t\t<to>${ids.get(ns)}</to>`);
+      lines.push(isLambda ? '\t\t\t<read/>' : `\t\t\t<read>${escapeXml(t.symbol)}</read>`);
+      lines.push('\t\t</transition>');
+    });
+  });
+
+  lines.push('\t</automaton>', '</structure>');
+  return lines.join('\n');
+}
+
+/**
+ * Centimetres per graphviz point, for TikZ coordinates
+ * @type {number}
+ */
+const TIKZ_CM_PER_POINT = 2.54 / 72;
+
+/**
+ * LaTeX replacement of every character with a special meaning in LaTeX
+ * @type {Object<string, string>}
+ */
+const LATEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '_': '\\_',
+  '%': '\\%',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '\u03BB': '$\\lambda$'
+};
+
+/**
+ * Escapes text for use in LaTeX
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeLatex = text =>
+  text.toString().replace(/[\\{}$&#_%~^\u03BB]/g, ch => LATEX_ESCAPES[ch]);
+
+/**
+ * Writes an automaton as a TikZ picture using the automata library. States
+ * are placed at the given positions, e.g. read from the graphviz drawing;
+ * without them the layout of layoutStates() is used. Transitions between
+ * the same two states share one edge.
+ * @param {NFA} automaton - The automaton to export
+ * @param {Map<string, {x: number, y: number}>} [positions] - Position of every state in points, y pointing down
+ * @returns {string} LaTeX source of the tikzpicture
+ */
+function toTikZ(automaton, positions = layoutStates(automaton)) {
+  const ids = new Map(automaton.states.map((state, i) => [state, `s${i}`]));
+  const origin = positions.get(automaton.initialState) || { x: 0, y: 0 };
+  const coordinate = value => (value * TIKZ_CM_PER_POINT).toFixed(2);
+
+  const lines = [
+    '% Needs \\usetikzlibrary{automata, positioning, arrows}',
+    '\\begin{tikzpicture}[->, >=stealth, shorten >=1pt, auto, semithick]'
+  ];
+
+  automaton.states.forEach(state => {
+    const { x, y } = positions.get(state);
+    const options = ['state'];
+    if (state === automaton.initialState) options.push('initial');
+    if (isFinalState(automaton, state)) options.push('accepting');
+
+    lines.push(
+      `  \\node[${options.join(', ')}] (${ids.get(state)}) ` +
+      `at (${coordinate(x - origin.x)}, ${coordinate(origin.y - y)}) ` +
+      `{${escapeLatex(automaton.formatDotState(state))}};`
+    );
+  });
+
+  // Symbols of every edge, keyed by its two states
+  const edges = new Map();
+  automaton.transitions.forEach(t => {
+    const symbol = t.symbol === '' ? '\u03BB' : t.symbol;
+    t.nextStates.forEach(ns => {
+      const key = JSON.stringify([t.state, ns]);
+      if (!edges.has(key)) edges.set(key, []);
+      if (!edges.get(key).includes(symbol)) edges.get(key).push(symbol);
+    });
+  });
+
+  const paths = [];
+  edges.forEach((symbols, key) => {
+    const [from, to] = JSON.parse(key);
+    const label = symbols.map(escapeLatex).join(', ');
+    let style = '';
+    if (from === to) {
+      style = ' [loop above]';
+    } else if (edges.has(JSON.stringify([to, from]))) {
+      style = ' [bend left]';
+    }
+    paths.push(`(${ids.get(from)}) edge${style} node {${label}} (${ids.get(to)})`);
+  });
+
+  if (paths.length > 0) {
+    lines.push(`  \\path ${paths.join('\n        ')};`);
+  }
+
+  lines.push('\\end{tikzpicture}');
+  return lines.join('\n');
+}
+
+/**
+ * Writes table rows as CSV, quoting cells that need it
+ * @param {string[][]} rows - Rows of cells, header first
+ * @returns {string} CSV text
+ */
+function tableToCSV(rows) {
+  const quote = cell => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+  return rows.map(row => row.map(quote).join(',')).join('\n');
+}
+
+/**
+ * Writes a table as a Markdown table
+ * @param {string[]} header - Column headings
+ * @param {string[][]} rows - Rows of cells
+ * @returns {string} Markdown text
+ */
+function tableToMarkdown(header, rows) {
+  const line = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [line(header), line(header.map(() => '---')), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Writes a table as a LaTeX tabular
+ * @param {string[]} header - Column headings
+ * @param {string[][]} rows - Rows of cells
+ * @returns {string} LaTeX source of the tabular
+ */
+function tableToLaTeX(header, rows) {
+  const line = cells => `  ${cells.map(escapeLatex).join(' & ')} \\\\`;
+  return [
+    `\\begin{tabular}{|${header.map(() => 'c').join('|')}|}`,
+    '  \\hline',
+    line(header),
+    '  \\hline',
+    ...rows.map(line),
+    '  \\hline',
+    '\\end{tabular}'
+  ].join('\n');
+}
+
+/**
+ * Reads a table copied from a spreadsheet or saved as CSV or TSV. Cells are
+ * separated by tabs if there are any, by commas otherwise, and may be
+ * double-quoted, with "" standing for a quote.
+ * @param {string} text - Table text
+ * @returns {string[][]} Rows of trimmed cells, blank lines dropped
+ */
+function parseDelimitedTable(text) {
+  const separator = text.includes('\t') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === separator) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Reads the next states written in a transition table cell: a state, a set
+ * such as {q1, q2} or q1, q2, or - or \u2205 (or nothing) for no move
+ * @param {string} cell - Cell text
+ * @returns {string[]} The next states
+ */
+function parseTargetSet(cell) {
+  const text = cell.trim();
+  if (['', '-', '\u2205'].includes(text)) return [];
+  return text.replace(/^\{(.*)\}$/, '$1').split(',').map(s => s.trim()).filter(s => s);
+}
+
+/**
+ * Parses a transition table: a header row with the symbols, then one row
+ * per state with its next states under each symbol. The initial state is
+ * marked with an arrow (\u2192 or ->) and final states with *; without an
+ * arrow, the first state is the initial one. Cells are read with
+ * parseTargetSet(), and columns named Output or NFA states are skipped.
+ * @param {string} text - The table as CSV or TSV
+ * @returns {NFA} The described NFA
+ */
+function parseTransitionTable(text) {
+  const [header, ...rows] = parseDelimitedTable(text);
+  if (!header || rows.length === 0) {
+    throw new Error('Expected a header row with the symbols and one row per state');
+  }
+
+  let initialState = null;
+  const finalStates = [];
+  const states = rows.map((row, i) => {
+    const [, markers, name] = row[0].match(/^((?:\u2192|->|\*|\s)*)(.*)$/);
+    if (!name) throw new Error(`Row ${i + 2}: expected a state name`);
+
+    if (/\u2192|->/.test(markers)) initialState = name;
+    if (markers.includes('*')) finalStates.push(name);
+    return name;
+  });
+
+  // A state named like a subset ("{q0,q1}") is one target, not a set
+  const targetsOf = cell => (states.includes(cell) ? [cell] : parseTargetSet(cell));
+
+  const edges = [];
+  rows.forEach((row, i) => {
+    header.slice(1).forEach((symbol, j) => {
+      if (['output', 'nfa states'].includes(symbol.toLowerCase())) return;
+
+      targetsOf(row[j + 1] || '').forEach(to => {
+        if (!states.includes(to)) states.push(to);
+        edges.push({ from: states[i], to, symbol });
+      });
+    });
+  });
+
+  return buildImportedNFA(initialState === null ? states[0] : initialState, finalStates, states, edges);
+}
+
+/**
+ * Splits DOT source into tokens: identifiers, quoted strings, edge
+ * operators and punctuation. Comments are dropped.
+ * @param {string} text - DOT source
+ * @returns {{type: string, value: string}[]} Tokens
+ */
+function tokenizeDot(text) {
+  const tokens = [];
+  const pattern = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\.)*)"|<([^>]*)>|(->|--)|([{}[\]=;,:])|(-?[^\s{}[\]=;,:"<>-]+)/y;
+  let match;
+  pattern.lastIndex = 0;
+
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(text);
+
+    if (!match) {
+      throw new Error(`Unexpected "${text[start]}" in DOT source at position ${start}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'id', value: match[1].replace(/\\(["\\])/g, '$1').replace(/\\n/g, '\n') });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'id', value: match[2] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'edge', value: match[3] });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: match[4], value: match[4] });
+    } else if (match[5] !== undefined) {
+      tokens.push({ type: 'id', value: match[5] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses a practical subset of Graphviz DOT into an NFA: node and edge
+ * statements, default node attributes and edge chains. Final states are
+ * drawn as double circles, and the initial state is the target of an edge
+ * from an invisible start node (as written by NFA.toDotString), or the
+ * source of the first edge otherwise. Comma-separated edge labels become
+ * one transition per symbol, and symbol classes such as a-z are expanded.
+ *
+ * Transducers are read back as NFA.toDotString() writes them: when every
+ * edge label is like a/1, the part after the last slash is the Mealy
+ * output, and a node labelled like q0/1 writes the Moore output 1.
+ * @param {string} text - DOT source
+ * @returns {NFA} The imported NFA
+ */
+function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+  const accept = type => {
+    if (peek() && peek().type === type) return next();
+    return null;
+  };
+
+  // Header: [strict] (digraph|graph) [ID] {
+  if (peek() && peek().value.toLowerCase() === 'strict') next();
+  const header = next();
+  if (!header || !['digraph', 'graph'].includes(header.value.toLowerCase())) {
+    throw new Error('Expected the DOT source to start with "digraph"');
+  }
+  if (peek() && peek().type === 'id') next();
+  if (!accept('{')) throw new Error('Expected "{" after the graph header');
+
+  const parseAttributes = () => {
+    const attributes = {};
+    while (accept('[')) {
+      while (peek() && peek().type !== ']') {
+        const key = next();
+        if (key.type === ',' || key.type === ';') continue;
+        if (accept('=')) {
+          const value = next();
+          attributes[key.value.toLowerCase()] = value ? value.value : '';
+        }
+      }
+      if (!accept(']')) throw new Error('Missing "]" in DOT attribute list');
+    }
+    return attributes;
+  };
+
+  const nodes = new Map();
+  const edges = [];
+  let nodeDefaults = {};
+
+  const declareNode = (name, attributes = {}) => {
+    const node = nodes.get(name) || { ...nodeDefaults };
+    nodes.set(name, Object.assign(node, attributes));
+  };
+
+  while (peek() && peek().type !== '}') {
+    const token = next();
+
+    if (token.type === ';' || token.type === ',' || token.type === '{') continue;
+
+    if (token.type !== 'id') {
+      throw new Error(`Unexpected "${token.value}" in DOT source`);
+    }
+
+    const keyword = token.value.toLowerCase();
+
+    if (['graph', 'node', 'edge'].includes(keyword) && peek() && peek().type === '[') {
+      const attributes = parseAttributes();
+      if (keyword === 'node') nodeDefaults = { ...nodeDefaults, ...attributes };
+      continue;
+    }
+
+    if (keyword === 'subgraph') {
+      if (peek() && peek().type === 'id') next();
+      continue;
+    }
+
+    // Graph attribute such as rankdir=LR
+    if (accept('=')) {
+      next();
+      continue;
+    }
+
+    // Ports (a:n) are ignored
+    const skipPort = () => {
+      while (accept(':')) next();
+    };
+    skipPort();
+
+    const chain = [token.value];
+    while (peek() && peek().type === 'edge') {
+      next();
+      const target = next();
+      if (!target || target.type !== 'id') {
+        throw new Error(`Expected a node after "${tokens[pos - 2].value}" in DOT source`);
+      }
+      skipPort();
+      chain.push(target.value);
+    }
+
+    const attributes = parseAttributes();
+
+    if (chain.length === 1) {
+      declareNode(chain[0], attributes);
+      continue;
+    }
+
+    chain.forEach(name => declareNode(name));
+    const label = attributes.label !== undefined ? attributes.label : '';
+
+    for (let i = 0; i < chain.length - 1; i++) {
+      label.split(',').forEach(part => edges.push({ from: chain[i], to: chain[i + 1], label: part.trim() }));
+    }
+  }
+
+  if (!accept('}')) throw new Error('Missing "}" at the end of the DOT source');
+
+  const isStartMarker = name => {
+    const node = nodes.get(name);
+    return DOT_START_SHAPES.includes((node.shape || '').toLowerCase()) ||
+      (node.style || '').toLowerCase() === 'invis';
+  };
+
+  const markerEdge = edges.find(e => isStartMarker(e.from) && !isStartMarker(e.to));
+  const labelledEdges = edges.filter(e => !isStartMarker(e.from) && !isStartMarker(e.to));
+  const states = Array.from(nodes.keys()).filter(name => !isStartMarker(name));
+
+  const mealy = labelledEdges.length > 0 && labelledEdges.every(e => e.label.includes('/'));
+  const stateEdges = labelledEdges.flatMap(({ from, to, label }) => {
+    const slash = label.lastIndexOf('/');
+    const symbol = mealy ? label.slice(0, slash).trim() : label;
+    const output = mealy ? label.slice(slash + 1).trim() : null;
+    return expandSymbolClass(symbol).map(s => ({ from, to, symbol: s, output }));
+  });
+
+  const stateOutputs = {};
+  states.forEach(name => {
+    const label = nodes.get(name).label;
+    if (label !== undefined && label.startsWith(`${name}/`)) {
+      stateOutputs[name] = label.slice(name.length + 1);
+    }
+  });
+  const finalStates = states.filter(name =>
+    (nodes.get(name).shape || '').toLowerCase() === 'doublecircle'
+  );
+
+  let initialState = null;
+  if (markerEdge) {
+    initialState = markerEdge.to;
+  } else if (stateEdges.length > 0) {
+    initialState = stateEdges[0].from;
+  } else if (states.length > 0) {
+    initialState = states[0];
+  }
+
+  if (initialState === null) {
+    throw new Error('The DOT graph has no states');
+  }
+
+  return buildImportedNFA(initialState, finalStates, states, stateEdges, stateOutputs);
+}
+
+
+/**
+ * Parses transitions written one per line as "state, symbol, next state".
+ * Further comma-separated targets make the transition nondeterministic, an
+ * empty symbol or λ is a lambda transition, and blank lines are skipped.
+ * @param {string} initialState - The initial state
+ * @param {string[]} finalStates - Array of final states
+ * @param {string} text - Transition lines
+ * @returns {NFA} The described NFA
+ */
+function parseTransitionList(initialState, finalStates, text) {
+  if (!initialState) {
+    throw new Error('Expected an initial state');
+  }
+
+  const states = [initialState];
+  const edges = [];
+
+  text.split('\n').forEach((line, i) => {
+    if (line.trim() === '') return;
+
+    const parts = line.split(',').map(part => part.trim());
+    if (parts.length < 3 || !parts[0] || parts.slice(2).some(part => !part)) {
+      throw new Error(`Line ${i + 1}: expected "state, symbol, next state"`);
+    }
+
+    const [from, symbol, ...targets] = parts;
+    [from, ...targets].forEach(s => {
+      if (!states.includes(s)) states.push(s);
+    });
+    targets.forEach(to => edges.push({ from, to, symbol }));
+  });
+
+  return buildImportedNFA(initialState, finalStates, states, edges);
+}
@@ -0,0 +1,181 @@
+/**
+ * Points awarded for each graded property of a student's DFA
+ * @type {Object<string, number>}
+ */
+const GRADING_POINTS = {
+  deterministic: 20,
+  complete: 20,
+  equivalent: 40,
+  minimal: 10,
+  isomorphic: 10
+};
+
+/**
+ * Represents the outcome of one graded property
+ */
+class GradeItem {
+  /**
+   * Creates a new GradeItem
+   * @param {string} check - Key of GRADING_POINTS
+   * @param {boolean} passed - Whether the answer has the property
+   * @param {string[]} feedback - Explanations for the student
+   */
+  constructor(check, passed, feedback) {
+    this.check = check;
+    this.passed = passed;
+    this.feedback = feedback;
+    this.points = passed ? GRADING_POINTS[check] : 0;
+    this.maxPoints = GRADING_POINTS[check];
+  }
+}
+
+/**
+ * Represents the grade of a student's DFA
+ */
+class GradeReport {
+  /**
+   * Creates a new GradeReport
+   * @param {GradeItem[]} items - Outcome of every graded property
+   */
+  constructor(items) {
+    this.items = items;
+  }
+
+  /**
+   * Points earned
+   * @type {number}
+   */
+  get score() {
+    return this.items.reduce((sum, item) => sum + item.points, 0);
+  }
+
+  /**
+   * Points available
+   * @type {number}
+   */
+  get maxScore() {
+    return this.items.reduce((sum, item) => sum + item.maxPoints, 0);
+  }
+}
+
+/**
+ * Pairs the states of two DFAs by walking both from their initial states.
+ * The DFAs are isomorphic when every reachable state is paired with exactly
+ * one state of the other, with the same acceptance and the same moves.
+ * @param {NFA} first - First DFA
+ * @param {NFA} second - Second DFA
+ * @returns {Map<string, string>|null} States of the first mapped to states of the second, or null if they are not isomorphic
+ */
+function findIsomorphism(first, second) {
+  const alphabet = first.alphabet.slice();
+  addAll(alphabet, second.alphabet);
+
+  const mapping = new Map([[first.initialState, second.initialState]]);
+  const mapped = new Set([second.initialState]);
+  const queue = [first.initialState];
+
+  for (let i = 0; i < queue.length; i++) {
+    const state = queue[i];
+    const image = mapping.get(state);
+
+    if (isFinalState(first, state) !== isFinalState(second, image)) return null;
+
+    for (const symbol of alphabet) {
+      const target = dfaTarget(first, state, symbol);
+      const imageTarget = dfaTarget(second, image, symbol);
+      if ((target === null) !== (imageTarget === null)) return null;
+      if (target === null) continue;
+
+      if (mapping.has(target)) {
+        if (mapping.get(target) !== imageTarget) return null;
+      } else {
+        if (mapped.has(imageTarget)) return null;
+        mapping.set(target, imageTarget);
+        mapped.add(imageTarget);
+        queue.push(target);
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Grades a student's DFA against the language of an exercise: whether it
+ * is deterministic and complete, whether it accepts the same language as
+ * the DFA from generateDFA(), and whether it is minimal and isomorphic to
+ * the result of minimizeDFA(). Minimality and isomorphism are only checked
+ * once the answer is a complete DFA for the right language.
+ * @param {NFA} exercise - The NFA or regular expression automaton of the exercise
+ * @param {NFA} answer - The student's DFA
+ * @returns {GradeReport} Score and feedback
+ */
+function gradeAnswer(exercise, answer) {
+  const alphabet = exercise.alphabet.slice();
+  addAll(alphabet, answer.alphabet);
+  const states = answer.states.slice();
+  addAll(states, answer.finalStates);
+
+  const student = new NFA(answer.initialState, answer.finalStates, states, alphabet, answer.transitions);
+  const index = indexTransitions(student.transitions);
+  const items = [];
+
+  const nondeterministic = [];
+  const missing = [];
+  states.forEach(state => {
+    const lambdaTargets = index.next(state, '\u03BB');
+    if (lambdaTargets.length > 0) {
+      nondeterministic.push(`${state} has a \u03BB-transition, which a DFA cannot have.`);
+    }
+
+    alphabet.forEach(symbol => {
+      const count = index.next(state, symbol).length;
+      if (count > 1) {
+        nondeterministic.push(`${state} has ${count} transitions on ${symbol}.`);
+      } else if (count === 0) {
+        missing.push(`${state} has no transition on ${symbol}.`);
+      }
+    });
+  });
+
+  items.push(new GradeItem('deterministic', nondeterministic.length === 0,
+    nondeterministic.length === 0 ? ['Every state has at most one move per symbol.'] : nondeterministic));
+  items.push(new GradeItem('complete', missing.length === 0,
+    missing.length === 0 ? ['Every state has a move on every symbol.'] : missing));
+
+  const equivalence = checkEquivalence(generateDFA(exercise), student);
+  let equivalentFeedback = ['Your automaton accepts exactly the language of the exercise.'];
+  if (!equivalence.equivalent) {
+    const word = equivalence.counterexample.length > 0 ? equivalence.counterexample.join('') : '\u03BB';
+    equivalentFeedback = [equivalence.acceptedBy === 0
+      ? `Your automaton rejects "${word}", which is in the language.`
+      : `Your automaton accepts "${word}", which is not in the language.`];
+  }
+  items.push(new GradeItem('equivalent', equivalence.equivalent, equivalentFeedback));
+
+  if (!items.every(item => item.passed)) {
+    const skipped = ['Not checked until the answer is a complete DFA for the right language.'];
+    items.push(new GradeItem('minimal', false, skipped));
+    items.push(new GradeItem('isomorphic', false, skipped));
+    return new GradeReport(items);
+  }
+
+  const minDFA = minimizeDFA(generateDFA(exercise));
+  const minimal = student.states.length === minDFA.states.length;
+  const unreachable = student.states.length - removeUnreachableStates(student).states.length;
+  const minimalFeedback = [
+    `Your DFA has ${student.states.length} states; the minimal DFA has ${minDFA.states.length}.`
+  ];
+  if (unreachable > 0) {
+    minimalFeedback.push(`${unreachable} of your states cannot be reached from ${student.initialState}.`);
+  }
+  items.push(new GradeItem('minimal', minimal, minimalFeedback));
+
+  const mapping = minimal ? findIsomorphism(student, minDFA) : null;
+  items.push(new GradeItem('isomorphic', mapping !== null, mapping
+    ? [`States match the minimal DFA: ${Array.from(mapping, ([s, m]) =>
+      `${s} \u2194 ${minDFA.formatDotState(m)}`).join(', ')}.`]
+    : ['Your DFA is not a renaming of the minimal DFA.']));
+
+  return new GradeReport(items);
+}
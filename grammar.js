@@ -0,0 +1,370 @@
+/**
+ * Arrows accepted between the head and the body of a production
+ * @type {string[]}
+ */
+const GRAMMAR_ARROWS = ['->', '\u2192', '::='];
+
+/**
+ * Symbols that stand for the empty string in a production body
+ * @type {string[]}
+ */
+const GRAMMAR_LAMBDAS = ['\u03BB', '\u03B5'];
+
+/**
+ * Represents a production of a right- or left-linear grammar: a head
+ * nonterminal that derives a string of terminals with at most one
+ * nonterminal, placed after them in a right-linear grammar and before them
+ * in a left-linear one
+ */
+class Production {
+  /**
+   * Creates a new Production
+   * @param {string} head - Nonterminal on the left of the arrow
+   * @param {string[]} terminals - Terminals of the body, empty for λ
+   * @param {string|null} nonterminal - Nonterminal of the body, if any
+   */
+  constructor(head, terminals, nonterminal = null) {
+    this.head = head;
+    this.terminals = terminals;
+    this.nonterminal = nonterminal;
+  }
+}
+
+/**
+ * Represents a right- or left-linear grammar
+ */
+class Grammar {
+  /**
+   * Creates a new Grammar
+   * @param {string} start - The start nonterminal
+   * @param {Production[]} productions - Productions in the order they are written
+   * @param {boolean} leftLinear - Whether nonterminals come before the terminals
+   */
+  constructor(start, productions, leftLinear = false) {
+    this.start = start;
+    this.productions = productions;
+    this.leftLinear = leftLinear;
+  }
+
+  /**
+   * Nonterminals in order of first appearance, the start nonterminal first
+   * @type {string[]}
+   */
+  get nonterminals() {
+    const nonterminals = [this.start];
+    this.productions.forEach(p => {
+      addAll(nonterminals, p.nonterminal === null ? [p.head] : [p.head, p.nonterminal]);
+    });
+    return nonterminals;
+  }
+
+  /**
+   * Writes the grammar one nonterminal per line, with its alternatives
+   * separated by |, as in S -> aA | b | λ
+   * @returns {string} The grammar as text
+   */
+  toString() {
+    return this.nonterminals
+      .map(head => {
+        const bodies = this.productions.filter(p => p.head === head).map(p => {
+          const body = p.nonterminal === null ? p.terminals
+            : this.leftLinear ? [p.nonterminal, ...p.terminals] : [...p.terminals, p.nonterminal];
+          return body.length > 0 ? body.join('') : '\u03BB';
+        });
+        return bodies.length > 0 ? `${head} -> ${bodies.join(' | ')}` : null;
+      })
+      .filter(line => line !== null)
+      .join('\n');
+  }
+}
+
+/**
+ * Splits the body of a production into terminals and nonterminals. A
+ * nonterminal is an uppercase letter followed by any digits or primes, λ
+ * and ε stand for the empty string, spaces are ignored and every other
+ * character is a terminal.
+ * @param {string} body - Text of one alternative
+ * @returns {{symbol: string, nonterminal: boolean}[]} The symbols of the body
+ */
+function tokenizeProductionBody(body) {
+  const tokens = [];
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (/\s/.test(char) || GRAMMAR_LAMBDAS.includes(char)) continue;
+
+    if (/[A-Z]/.test(char)) {
+      let end = i + 1;
+      while (end < body.length && /[0-9']/.test(body[end])) end++;
+      tokens.push({ symbol: body.slice(i, end), nonterminal: true });
+      i = end - 1;
+    } else {
+      tokens.push({ symbol: char, nonterminal: false });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses a right-linear grammar written one or more productions per line,
+ * as in S -> aA | b | λ. The head of the first line is the start nonterminal.
+ * @param {string} text - The grammar
+ * @returns {Grammar} The parsed grammar
+ */
+function parseGrammar(text) {
+  const productions = [];
+  let start = null;
+
+  text.split('\n').forEach((line, i) => {
+    if (line.trim() === '') return;
+
+    const arrow = GRAMMAR_ARROWS.find(a => line.includes(a));
+    if (!arrow) {
+      throw new Error(`Line ${i + 1}: expected a production like "S -> aA | b"`);
+    }
+
+    const head = line.slice(0, line.indexOf(arrow)).trim();
+    if (!/^[A-Z][0-9']*$/.test(head)) {
+      throw new Error(`Line ${i + 1}: "${head}" is not a nonterminal; use an uppercase letter like S or A1`);
+    }
+    if (start === null) start = head;
+
+    line.slice(line.indexOf(arrow) + arrow.length).split('|').forEach(body => {
+      const tokens = tokenizeProductionBody(body);
+      const nonterminals = tokens.filter(t => t.nonterminal);
+
+      if (nonterminals.length > 1 || (nonterminals.length === 1 && !tokens[tokens.length - 1].nonterminal)) {
+        throw new Error(`Line ${i + 1}: "${body.trim()}" is not right-linear; ` +
+          'a body can only end with a single nonterminal');
+      }
+
+      productions.push(new Production(
+        head,
+        tokens.filter(t => !t.nonterminal).map(t => t.symbol),
+        nonterminals.length > 0 ? nonterminals[0].symbol : null
+      ));
+    });
+  });
+
+  if (start === null) {
+    throw new Error('Expected at least one production');
+  }
+
+  return new Grammar(start, productions);
+}
+
+/**
+ * Converts a right-linear grammar into an NFA whose states are the
+ * nonterminals. A production A -> aB becomes a transition from A to B on a,
+ * A -> B a lambda transition, and A -> λ makes A final. Terminal-only
+ * productions lead to a fresh final state, and bodies with several
+ * terminals go through fresh intermediate states.
+ * @param {Grammar} grammar - Right-linear grammar
+ * @returns {NFA} NFA accepting the language of the grammar
+ */
+function grammarToNFA(grammar) {
+  if (grammar.leftLinear) {
+    throw new Error('Only right-linear grammars can be converted');
+  }
+
+  const states = grammar.nonterminals;
+  const finalStates = [];
+  const edges = [];
+
+  const freshState = prefix => {
+    let name = prefix;
+    for (let i = 1; states.includes(name); i++) {
+      name = `${prefix}${i}`;
+    }
+    states.push(name);
+    return name;
+  };
+
+  let terminalState = null;
+
+  grammar.productions.forEach(({ head, terminals, nonterminal }) => {
+    if (terminals.length === 0 && nonterminal === null) {
+      if (!finalStates.includes(head)) finalStates.push(head);
+      return;
+    }
+
+    let target = nonterminal;
+    if (target === null) {
+      if (terminalState === null) {
+        terminalState = freshState('F');
+        finalStates.push(terminalState);
+      }
+      target = terminalState;
+    }
+
+    if (terminals.length === 0) {
+      edges.push({ from: head, to: target, symbol: '\u03BB' });
+      return;
+    }
+
+    // Every terminal but the last one moves to a fresh intermediate state
+    let from = head;
+    terminals.forEach((symbol, i) => {
+      const to = i === terminals.length - 1 ? target : freshState(`${head}_${i + 1}`);
+      edges.push({ from, to, symbol });
+      from = to;
+    });
+  });
+
+  return buildImportedNFA(grammar.start, finalStates, states, edges);
+}
+
+/**
+ * Names the reachable states of an automaton as grammar nonterminals in
+ * breadth-first order: A, B, C and so on, then A1, B1... S is kept for the
+ * start nonterminal.
+ * @param {NFA} automaton - Input automaton
+ * @param {string|null} initialName - Nonterminal of the initial state, or null to give it a letter too
+ * @returns {Map<string, string>} Nonterminal of every reachable state
+ */
+function nameNonterminals(automaton, initialName = null) {
+  const index = indexTransitions(automaton.transitions);
+  const order = [automaton.initialState];
+  for (let i = 0; i < order.length; i++) {
+    index.successors(order[i]).forEach(s => {
+      if (!order.includes(s)) order.push(s);
+    });
+  }
+
+  const letters = 'ABCDEFGHIJKLMNOPQRTUVWXYZ';
+  const names = new Map();
+  let next = 0;
+
+  order.forEach(state => {
+    if (state === automaton.initialState && initialName !== null) {
+      names.set(state, initialName);
+      return;
+    }
+
+    const round = Math.floor(next / letters.length);
+    names.set(state, letters[next % letters.length] + (round > 0 ? round : ''));
+    next++;
+  });
+
+  return names;
+}
+
+/**
+ * Drops the nonterminals that derive no string of terminals, then those the
+ * start nonterminal cannot reach, with the productions that use them
+ * @param {Grammar} grammar - Input grammar
+ * @returns {Grammar} Equivalent grammar without useless nonterminals
+ */
+function removeUselessNonterminals(grammar) {
+  const generating = new Set();
+  for (let changed = true; changed;) {
+    changed = false;
+    grammar.productions.forEach(p => {
+      if (!generating.has(p.head) && (p.nonterminal === null || generating.has(p.nonterminal))) {
+        generating.add(p.head);
+        changed = true;
+      }
+    });
+  }
+
+  const productions = grammar.productions.filter(p =>
+    generating.has(p.head) && (p.nonterminal === null || generating.has(p.nonterminal)));
+
+  const reachable = [grammar.start];
+  for (let i = 0; i < reachable.length; i++) {
+    productions.forEach(p => {
+      if (p.head === reachable[i] && p.nonterminal !== null && !reachable.includes(p.nonterminal)) {
+        reachable.push(p.nonterminal);
+      }
+    });
+  }
+
+  return new Grammar(
+    grammar.start,
+    productions.filter(p => reachable.includes(p.head)),
+    grammar.leftLinear
+  );
+}
+
+/**
+ * Finds an input symbol that a production body cannot write as a terminal.
+ * tokenizeProductionBody() reads one character per terminal, so a symbol
+ * such as "ab" would come back as two terminals, an uppercase letter as a
+ * nonterminal, and a space, | or λ would be dropped. In a left-linear body
+ * the terminals follow the nonterminal, which would take digits and primes.
+ * @param {NFA} automaton - Input automaton
+ * @param {boolean} leftLinear - Whether the grammar is left-linear
+ * @returns {string|null} The first such symbol, or null if there is none
+ */
+function findUnwritableTerminal(automaton, leftLinear = false) {
+  const unwritable = symbol => symbol.length !== 1 || /[A-Z\s|]/.test(symbol) ||
+    GRAMMAR_LAMBDAS.includes(symbol) || (leftLinear && /[0-9']/.test(symbol));
+
+  const transition = automaton.transitions.find(t => t.symbol !== '\u03BB' && unwritable(t.symbol));
+  return transition ? transition.symbol : null;
+}
+
+/**
+ * Converts an automaton into an equivalent linear grammar.
+ *
+ * In the right-linear grammar every state is a nonterminal deriving the
+ * strings that lead from it to a final state, the initial state being S: a
+ * transition from p to q on a gives P -> aQ, and every final state derives λ.
+ *
+ * In the left-linear grammar every state derives the strings that lead to
+ * it from the initial state, which derives λ: the same transition gives
+ * Q -> Pa. The start nonterminal S derives everything a final state does.
+ *
+ * Nonterminals that cannot be used in a derivation, such as trap states,
+ * are left out. Symbols that would be read back as something else are
+ * refused, see findUnwritableTerminal().
+ * @param {NFA} automaton - The NFA or DFA to convert
+ * @param {boolean} leftLinear - Whether to write a left-linear grammar
+ * @returns {Grammar} The equivalent grammar
+ */
+function automatonToGrammar(automaton, leftLinear = false) {
+  const badSymbol = findUnwritableTerminal(automaton, leftLinear);
+  if (badSymbol !== null) {
+    throw new Error(`The symbol "${badSymbol}" cannot be written as a terminal: a grammar reads ` +
+      'one character per terminal, and uppercase letters with their digits and primes as nonterminals');
+  }
+
+  const names = nameNonterminals(automaton, leftLinear ? null : 'S');
+  const productions = [];
+
+  automaton.transitions.forEach(({ state, nextStates, symbol }) => {
+    if (!names.has(state)) return;
+
+    const terminals = symbol === '\u03BB' ? [] : [symbol];
+    nextStates.forEach(next => {
+      productions.push(leftLinear
+        ? new Production(names.get(next), terminals, names.get(state))
+        : new Production(names.get(state), terminals, names.get(next)));
+    });
+  });
+
+  const finals = Array.from(names.keys()).filter(state => isFinalState(automaton, state));
+
+  if (!leftLinear) {
+    finals.forEach(state => productions.push(new Production(names.get(state), [])));
+    return removeUselessNonterminals(new Grammar('S', productions));
+  }
+
+  productions.push(new Production(names.get(automaton.initialState), []));
+
+  // S takes the alternatives of every final state, without duplicates
+  const seen = new Set();
+  const startProductions = [];
+  finals.forEach(state => {
+    productions.filter(p => p.head === names.get(state)).forEach(p => {
+      const key = JSON.stringify([p.terminals, p.nonterminal]);
+      if (seen.has(key)) return;
+
+      seen.add(key);
+      startProductions.push(new Production('S', p.terminals, p.nonterminal));
+    });
+  });
+
+  return removeUselessNonterminals(new Grammar('S', [...startProductions, ...productions], true));
+}
@@ -0,0 +1,273 @@
+/**
+ * Binary operations built with the product construction and the test
+ * deciding whether a pair of states is accepting
+ * @type {Object<string, function(boolean, boolean): boolean>}
+ */
+const PRODUCT_OPERATIONS = {
+  union: (a, b) => a || b,
+  intersection: (a, b) => a && b,
+  difference: (a, b) => a && !b
+};
+
+/**
+ * Renames the states of an automaton to prefix0, prefix1, ... so it can
+ * be combined with another automaton without name clashes
+ * @param {NFA} automaton - Input automaton
+ * @param {string} prefix - Prefix of the new state names
+ * @returns {NFA} Renamed automaton
+ */
+function relabelStates(automaton, prefix) {
+  const names = new Map(automaton.states.map((state, i) => [state, `${prefix}${i}`]));
+  const rename = state => {
+    if (!names.has(state)) names.set(state, `${prefix}${names.size}`);
+    return names.get(state);
+  };
+
+  return renameStates(automaton, rename);
+}
+
+/**
+ * Builds the complement of an automaton over its own alphabet. The DFA from
+ * generateDFA is complete thanks to its TRAP state, so swapping final and
+ * non-final states is enough.
+ * @param {NFA} automaton - Input automaton
+ * @returns {NFA} DFA accepting exactly the words the input rejects
+ */
+function complementAutomaton(automaton) {
+  const dfa = generateDFA(automaton);
+  const finalStates = dfa.states
+    .filter(state => !isFinalState(dfa, state))
+    .map(state => dfa.formatDotState(state));
+
+  return new NFA(dfa.initialState, finalStates, dfa.states, dfa.alphabet, dfa.transitions);
+}
+
+/**
+ * Combines two automata with the product construction. Both are
+ * determinized first, and only the reachable pairs are built. A symbol
+ * missing from one alphabet sends that side to TRAP.
+ * @param {NFA} first - First automaton
+ * @param {NFA} second - Second automaton
+ * @param {string} operation - Key of PRODUCT_OPERATIONS
+ * @returns {NFA} Product DFA
+ */
+function productAutomaton(first, second, operation) {
+  const isAccepting = PRODUCT_OPERATIONS[operation];
+  if (!isAccepting) {
+    throw new Error(`Unknown product operation "${operation}"`);
+  }
+
+  // Subset names are flattened so the pair names have no commas
+  const dfas = [generateDFA(first), generateDFA(second)].map(flattenSubsetNames);
+  const alphabet = dfas[0].alphabet.slice();
+  dfas[1].alphabet.forEach(symbol => {
+    if (!alphabet.includes(symbol)) alphabet.push(symbol);
+  });
+
+  const pairs = [];
+  const names = [];
+  const nameOf = new Map();
+  const used = new Set();
+
+  // Names a pair, adding it to the pairs to build the first time it is seen.
+  // null stands for the TRAP state of a side that has no transition. Pairs
+  // are told apart by their JSON key, as state names may contain _, and
+  // their names get primes until they are unique.
+  const visit = pair => {
+    const key = JSON.stringify(pair);
+    if (!nameOf.has(key)) {
+      let name = pair
+        .map((state, i) => (state === null ? 'TRAP' : dfas[i].formatDotState(state)))
+        .join('_');
+      while (used.has(name)) name += "'";
+
+      nameOf.set(key, name);
+      used.add(name);
+      pairs.push(pair);
+      names.push(name);
+    }
+    return nameOf.get(key);
+  };
+
+  visit([dfas[0].initialState, dfas[1].initialState]);
+
+  const transitions = [];
+  const finalStates = [];
+
+  for (let i = 0; i < pairs.length; i++) {
+    const pair = pairs[i];
+    const accepted = pair.map((state, side) => state !== null && isFinalState(dfas[side], state));
+
+    if (isAccepting(accepted[0], accepted[1])) {
+      finalStates.push(names[i]);
+    }
+
+    alphabet.forEach(symbol => {
+      const nextPair = pair.map((state, side) =>
+        state === null ? null : dfaTarget(dfas[side], state, symbol)
+      );
+      transitions.push(new Transition(names[i], [visit(nextPair)], symbol));
+    });
+  }
+
+  return new NFA(names[0], finalStates, names, alphabet, transitions);
+}
+
+/**
+ * Builds an NFA for the concatenation of two languages by adding lambda
+ * transitions from the final states of the first to the initial state of
+ * the second
+ * @param {NFA} first - First automaton
+ * @param {NFA} second - Second automaton
+ * @returns {NFA} Lambda-NFA accepting first followed by second
+ */
+function concatenateAutomata(first, second) {
+  const a = relabelStates(first, 'a');
+  const b = relabelStates(second, 'b');
+  const alphabet = a.alphabet.concat(b.alphabet.filter(symbol => !a.alphabet.includes(symbol)));
+
+  const bridges = a.finalStates.map(fs => new Transition(fs, [b.initialState], '\u03BB'));
+
+  return new NFA(
+    a.initialState,
+    b.finalStates,
+    a.states.concat(b.states),
+    alphabet,
+    a.transitions.concat(bridges, b.transitions)
+  );
+}
+
+/**
+ * Builds an NFA for the Kleene star of a language: a new initial state,
+ * which is also final, leads to the old initial state, and every final
+ * state leads back to the new one
+ * @param {NFA} automaton - Input automaton
+ * @returns {NFA} Lambda-NFA accepting any number of repetitions
+ */
+function starAutomaton(automaton) {
+  const a = relabelStates(automaton, 'a');
+  const start = 's';
+
+  const loops = a.finalStates.map(fs => new Transition(fs, [start], '\u03BB'));
+
+  return new NFA(
+    start,
+    [start],
+    [start, ...a.states],
+    a.alphabet,
+    [new Transition(start, [a.initialState], '\u03BB'), ...a.transitions, ...loops]
+  );
+}
+
+/**
+ * Represents the four machines of Brzozowski minimization
+ */
+class BrzozowskiMinimization {
+  /**
+   * Creates a new BrzozowskiMinimization
+   * @param {NFA} reversed - Reversal of the input automaton
+   * @param {NFA} reversedDFA - Determinization of reversed
+   * @param {NFA} reversedBack - Reversal of reversedDFA
+   * @param {NFA} minDFA - Determinization of reversedBack, the minimal DFA
+   */
+  constructor(reversed, reversedDFA, reversedBack, minDFA) {
+    this.reversed = reversed;
+    this.reversedDFA = reversedDFA;
+    this.reversedBack = reversedBack;
+    this.minDFA = minDFA;
+  }
+}
+
+/**
+ * Builds an NFA for the reversed language: every transition is flipped, a
+ * new initial state leads to the old final states with lambda transitions
+ * and the old initial state becomes the only final state
+ * @param {NFA} nfa - Input automaton
+ * @returns {NFA} Lambda-NFA accepting the mirror image of every word
+ */
+function reverse(nfa) {
+  const { initialState, finalStates, states } = nfa.toJSON();
+
+  let start = 'S';
+  for (let i = 0; states.includes(start); i++) {
+    start = `S${i}`;
+  }
+
+  // Targets of the flipped transitions, grouped by source state and symbol
+  const flipped = new Map();
+  nfa.transitions.forEach(t => {
+    t.nextStates.forEach(ns => {
+      const key = JSON.stringify([ns, t.symbol]);
+      if (!flipped.has(key)) flipped.set(key, []);
+      if (!flipped.get(key).includes(t.state)) flipped.get(key).push(t.state);
+    });
+  });
+
+  const transitions = [new Transition(start, finalStates.slice(), '\u03BB')];
+  flipped.forEach((nextStates, key) => {
+    const [state, symbol] = JSON.parse(key);
+    transitions.push(new Transition(state, nextStates, symbol));
+  });
+
+  return new NFA(start, [initialState], [start, ...states], nfa.alphabet.slice(), transitions);
+}
+
+/**
+ * Removes a state from the subset names of a DFA, merging the subsets that
+ * become equal. The new initial state of a reversal only has lambda
+ * transitions and no incoming ones, so it shows up in the first subset alone
+ * and would keep it apart from the same subset found later.
+ * @param {NFA} dfa - DFA built by the subset construction
+ * @param {string} state - NFA state to leave out of the subset names
+ * @returns {NFA} DFA over the merged subsets
+ */
+function dropFromSubsets(dfa, state) {
+  // Alone, the state stands for the empty subset
+  const rename = name => {
+    if (name === state) return 'TRAP';
+    if (!isMultiState(name)) return name;
+    return combineStates(separateStates(name).filter(s => s !== state));
+  };
+
+  const states = [];
+  const finalStates = [];
+  dfa.states.forEach(s => {
+    const name = rename(s);
+    if (states.includes(name)) return;
+    states.push(name);
+    if (isFinalState(dfa, s)) finalStates.push(dfa.formatDotState(name));
+  });
+
+  const seen = new Set();
+  const transitions = [];
+  dfa.transitions.forEach(t => {
+    const key = JSON.stringify([rename(t.state), t.symbol]);
+    if (seen.has(key)) return;
+    seen.add(key);
+    transitions.push(new Transition(rename(t.state), t.nextStates.map(rename), t.symbol));
+  });
+
+  return new NFA(rename(dfa.initialState), finalStates, states, dfa.alphabet, transitions);
+}
+
+/**
+ * Minimizes an automaton with Brzozowski's algorithm: reverse, determinize,
+ * reverse again and determinize again. Lambda closures are followed during
+ * determinization so the subsets start from the old final states, and the
+ * DFA of the first pass is relabelled d0, d1, ... to keep its names short.
+ * @param {NFA} nfa - Input automaton
+ * @param {number} maxStates - Number of DFA states after which a determinization gives up
+ * @returns {BrzozowskiMinimization} The intermediate machines and the minimal DFA
+ */
+function brzozowskiMinimization(nfa, maxStates = Infinity) {
+  const determinize = automaton => dropFromSubsets(
+    new SubsetConstruction(automaton, true, maxStates).run().toDFA(),
+    automaton.initialState
+  );
+
+  const reversed = reverse(nfa);
+  const reversedDFA = relabelStates(determinize(reversed), 'd');
+  const reversedBack = reverse(reversedDFA);
+
+  return new BrzozowskiMinimization(reversed, reversedDFA, reversedBack, determinize(reversedBack));
+}
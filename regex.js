@@ -0,0 +1,452 @@
+/**
+ * Characters with a special meaning inside a regular expression
+ * @type {string[]}
+ */
+const REGEX_OPERATORS = ['|', '*', '+', '?', '(', ')'];
+
+/**
+ * Characters accepted as the empty string (lambda/epsilon)
+ * @type {string[]}
+ */
+const REGEX_LAMBDAS = ['\u03BB', '\u03B5'];
+
+/**
+ * Character accepted as the empty language
+ * @type {string}
+ */
+const REGEX_EMPTY_SET = '\u2205';
+
+/**
+ * Parses a regular expression into a syntax tree. Supports union (|),
+ * implicit concatenation, Kleene star (*), plus (+), optional (?),
+ * grouping, λ/ε for the empty string and ∅ for the empty language.
+ * A backslash escapes the next character.
+ * @param {string} pattern - The regular expression
+ * @returns {Object} Syntax tree of { type, ... } nodes
+ */
+function parseRegex(pattern) {
+  if (typeof pattern !== 'string') {
+    throw new Error('Expected the regular expression to be a string');
+  }
+
+  let pos = 0;
+
+  const peek = () => pattern[pos];
+
+  const parseUnion = () => {
+    let node = parseConcat();
+    while (peek() === '|') {
+      pos++;
+      node = { type: 'union', left: node, right: parseConcat() };
+    }
+    return node;
+  };
+
+  const parseConcat = () => {
+    let node = null;
+    while (pos < pattern.length && peek() !== '|' && peek() !== ')') {
+      const factor = parseFactor();
+      node = node ? { type: 'concat', left: node, right: factor } : factor;
+    }
+    return node || { type: 'lambda' };
+  };
+
+  const parseFactor = () => {
+    let node = parseAtom();
+    while (peek() === '*' || peek() === '+' || peek() === '?') {
+      const op = pattern[pos++];
+      const type = op === '*' ? 'star' : op === '+' ? 'plus' : 'optional';
+      node = { type, child: node };
+    }
+    return node;
+  };
+
+  const parseAtom = () => {
+    const ch = pattern[pos];
+
+    if (ch === '(') {
+      const open = pos++;
+      const node = parseUnion();
+      if (peek() !== ')') {
+        throw new Error(`Missing ")" for the group opened at position ${open}`);
+      }
+      pos++;
+      return node;
+    }
+
+    if (ch === '\\') {
+      if (pos + 1 >= pattern.length) {
+        throw new Error('Nothing to escape at the end of the expression');
+      }
+      pos += 2;
+      return { type: 'symbol', symbol: pattern[pos - 1] };
+    }
+
+    if (REGEX_OPERATORS.includes(ch)) {
+      throw new Error(`Unexpected "${ch}" at position ${pos}`);
+    }
+
+    pos++;
+    if (REGEX_LAMBDAS.includes(ch)) return { type: 'lambda' };
+    if (ch === REGEX_EMPTY_SET) return { type: 'empty' };
+    return { type: 'symbol', symbol: ch };
+  };
+
+  const tree = parseUnion();
+  if (pos < pattern.length) {
+    throw new Error(`Unexpected "${peek()}" at position ${pos}`);
+  }
+
+  return tree;
+}
+
+/**
+ * Builds a lambda-NFA from a regular expression using Thompson's construction
+ * @param {string} pattern - The regular expression
+ * @returns {NFA} Equivalent NFA with a single final state
+ */
+function regexToNFA(pattern) {
+  const tree = parseRegex(pattern);
+  const states = [];
+  const alphabet = [];
+  const transitions = [];
+
+  const newState = () => {
+    const state = `q${states.length}`;
+    states.push(state);
+    return state;
+  };
+
+  const addLambda = (from, to) => {
+    transitions.push(new Transition(from, [to], '\u03BB'));
+  };
+
+  /**
+   * Builds the fragment for a syntax tree node
+   * @param {Object} node - Syntax tree node
+   * @returns {{start: string, end: string}} Fragment entry and exit states
+   */
+  const build = node => {
+    if (node.type === 'concat') {
+      const left = build(node.left);
+      const right = build(node.right);
+      addLambda(left.end, right.start);
+      return { start: left.start, end: right.end };
+    }
+
+    const start = newState();
+
+    switch (node.type) {
+      case 'symbol': {
+        const end = newState();
+        transitions.push(new Transition(start, [end], node.symbol));
+        if (!alphabet.includes(node.symbol)) alphabet.push(node.symbol);
+        return { start, end };
+      }
+      case 'lambda': {
+        const end = newState();
+        addLambda(start, end);
+        return { start, end };
+      }
+      case 'empty':
+        return { start, end: newState() };
+      case 'union': {
+        const left = build(node.left);
+        const right = build(node.right);
+        const end = newState();
+        addLambda(start, left.start);
+        addLambda(start, right.start);
+        addLambda(left.end, end);
+        addLambda(right.end, end);
+        return { start, end };
+      }
+      case 'star':
+      case 'plus':
+      case 'optional': {
+        const child = build(node.child);
+        const end = newState();
+        addLambda(start, child.start);
+        addLambda(child.end, end);
+        if (node.type !== 'plus') addLambda(start, end);
+        if (node.type !== 'optional') addLambda(child.end, child.start);
+        return { start, end };
+      }
+      default:
+        throw new Error(`Unknown regular expression node "${node.type}"`);
+    }
+  };
+
+  const fragment = build(tree);
+
+  return new NFA(fragment.start, [fragment.end], states, alphabet, transitions);
+}
+
+
+/**
+ * Represents one state removal during state elimination
+ */
+class EliminationStep {
+  /**
+   * Creates a new EliminationStep
+   * @param {string|null} state - The removed state (null for the initial GNFA)
+   * @param {NFA} gnfa - Generalized NFA whose transition symbols are regexes
+   */
+  constructor(state, gnfa) {
+    this.state = state;
+    this.gnfa = gnfa;
+  }
+}
+
+/**
+ * Checks if a regex syntax tree accepts the empty string
+ * @param {Object} node - Syntax tree node
+ * @returns {boolean} True if λ is in the language of the node
+ */
+function isNullableRegex(node) {
+  switch (node.type) {
+    case 'lambda':
+    case 'star':
+    case 'optional':
+      return true;
+    case 'union':
+      return isNullableRegex(node.left) || isNullableRegex(node.right);
+    case 'concat':
+      return isNullableRegex(node.left) && isNullableRegex(node.right);
+    case 'plus':
+      return isNullableRegex(node.child);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Builds a simplified union of two regex syntax trees, dropping ∅ terms,
+ * duplicate alternatives and λ when another alternative already accepts it
+ * @param {Object} a - First syntax tree
+ * @param {Object} b - Second syntax tree
+ * @returns {Object} Simplified syntax tree
+ */
+function regexUnion(a, b) {
+  const alternatives = [];
+  const collect = node => {
+    if (node.type === 'union') {
+      collect(node.left);
+      collect(node.right);
+    } else if (node.type === 'optional') {
+      collect({ type: 'lambda' });
+      collect(node.child);
+    } else if (node.type !== 'empty' &&
+      !alternatives.some(alt => regexToString(alt) === regexToString(node))) {
+      alternatives.push(node);
+    }
+  };
+  collect(a);
+  collect(b);
+
+  let others = alternatives.filter(alt => alt.type !== 'lambda');
+  const hasLambda = others.length < alternatives.length;
+
+  if (others.length === 0) {
+    return hasLambda ? { type: 'lambda' } : { type: 'empty' };
+  }
+
+  let node = others.reduce((left, right) => ({ type: 'union', left, right }));
+
+  if (hasLambda && !isNullableRegex(node)) {
+    node = { type: 'optional', child: node };
+  }
+
+  return node;
+}
+
+/**
+ * Builds a simplified concatenation of regex syntax trees
+ * @param {...Object} nodes - Syntax trees to concatenate in order
+ * @returns {Object} Simplified syntax tree
+ */
+function regexConcat(...nodes) {
+  if (nodes.some(node => node.type === 'empty')) return { type: 'empty' };
+
+  const parts = nodes.filter(node => node.type !== 'lambda');
+  if (parts.length === 0) return { type: 'lambda' };
+
+  return parts.reduce((left, right) => ({ type: 'concat', left, right }));
+}
+
+/**
+ * Builds a simplified Kleene star of a regex syntax tree
+ * @param {Object} node - Syntax tree to repeat
+ * @returns {Object} Simplified syntax tree
+ */
+function regexStar(node) {
+  if (node.type === 'empty' || node.type === 'lambda') return { type: 'lambda' };
+  if (node.type === 'star') return node;
+  if (node.type === 'optional' || node.type === 'plus') return { type: 'star', child: node.child };
+  return { type: 'star', child: node };
+}
+
+/**
+ * Prints a regex syntax tree using as few parentheses as possible
+ * @param {Object} node - Syntax tree node
+ * @returns {string} Regular expression
+ */
+function regexToString(node) {
+  const precedence = { union: 0, concat: 1, star: 2, plus: 2, optional: 2 };
+
+  const print = (n, minPrecedence) => {
+    const text = printNode(n);
+    const own = n.type in precedence ? precedence[n.type] : 3;
+    return own < minPrecedence ? `(${text})` : text;
+  };
+
+  const printNode = n => {
+    switch (n.type) {
+      case 'symbol':
+        return REGEX_OPERATORS.includes(n.symbol) || REGEX_LAMBDAS.includes(n.symbol) ||
+          n.symbol === REGEX_EMPTY_SET || n.symbol === '\\'
+          ? `\\${n.symbol}`
+          : n.symbol;
+      case 'lambda':
+        return REGEX_LAMBDAS[0];
+      case 'empty':
+        return REGEX_EMPTY_SET;
+      case 'union':
+        return `${print(n.left, 0)}|${print(n.right, 0)}`;
+      case 'concat':
+        return `${print(n.left, 1)}${print(n.right, 1)}`;
+      case 'star':
+        return `${print(n.child, 3)}*`;
+      case 'plus':
+        return `${print(n.child, 3)}+`;
+      case 'optional':
+        return `${print(n.child, 3)}?`;
+      default:
+        throw new Error(`Unknown regular expression node "${n.type}"`);
+    }
+  };
+
+  return print(node, 0);
+}
+
+/**
+ * Finds a transition symbol that a regular expression cannot write. The
+ * parser reads one character per symbol, so a symbol such as "ab" would
+ * come back as the concatenation of a and b.
+ * @param {NFA} automaton - Input automaton
+ * @returns {string|null} The first symbol with several characters, or null if there is none
+ */
+function findMultiCharacterSymbol(automaton) {
+  const transition = automaton.transitions.find(t => t.symbol.length > 1);
+  return transition ? transition.symbol : null;
+}
+
+/**
+ * Converts an automaton to a regular expression by generalized NFA state
+ * elimination. A fresh start and end state are added, then the original
+ * states are removed one at a time. Symbols with several characters are
+ * refused, see findMultiCharacterSymbol().
+ * @param {NFA} automaton - Input NFA or DFA
+ * @param {string[]} order - Optional elimination order, each state at most once; missing states follow in their usual order
+ * @returns {{regex: string, steps: EliminationStep[]}} Resulting expression and every intermediate GNFA
+ */
+function automatonToRegex(automaton, order = []) {
+  const longSymbol = findMultiCharacterSymbol(automaton);
+  if (longSymbol !== null) {
+    throw new Error(`The symbol "${longSymbol}" cannot be written in a regular expression, ` +
+      'which reads one character per symbol');
+  }
+
+  const remaining = automaton.states.slice();
+
+  const uniqueName = base => {
+    let name = base;
+    for (let i = 1; remaining.includes(name); i++) name = `${base}${i}`;
+    return name;
+  };
+  const start = uniqueName('START');
+  const end = uniqueName('END');
+
+  // Edge labels keyed by "from" then "to"
+  const edges = new Map();
+  const getEdge = (from, to) =>
+    (edges.get(from) && edges.get(from).get(to)) || { type: 'empty' };
+  const setEdge = (from, to, node) => {
+    if (!edges.has(from)) edges.set(from, new Map());
+    edges.get(from).set(to, node);
+  };
+  const addEdge = (from, to, node) => setEdge(from, to, regexUnion(getEdge(from, to), node));
+
+  addEdge(start, automaton.initialState, { type: 'lambda' });
+
+  automaton.states.forEach(state => {
+    if (isFinalState(automaton, state)) addEdge(state, end, { type: 'lambda' });
+  });
+
+  automaton.transitions.forEach(t => {
+    const symbol = t.symbol === '' || t.symbol === '\u03BB'
+      ? { type: 'lambda' }
+      : { type: 'symbol', symbol: t.symbol };
+    t.nextStates.forEach(ns => addEdge(t.state, ns, symbol));
+  });
+
+  const snapshot = () => {
+    const states = [start, ...remaining, end];
+    const transitions = [];
+
+    states.forEach(from => {
+      states.forEach(to => {
+        const edge = getEdge(from, to);
+        if (edge.type !== 'empty') {
+          transitions.push(new Transition(from, [to], regexToString(edge)));
+        }
+      });
+    });
+
+    return new NFA(start, [end], states, automaton.alphabet, transitions);
+  };
+
+  const eliminationOrder = order.map(name => {
+    const state = remaining.find(s => s === name || automaton.formatDotState(s) === name);
+    if (!state) {
+      throw new Error(`Cannot eliminate unknown state "${name}"`);
+    }
+    return state;
+  });
+  eliminationOrder.forEach((state, i) => {
+    if (eliminationOrder.indexOf(state) !== i) {
+      throw new Error(`Cannot eliminate "${automaton.formatDotState(state)}" twice`);
+    }
+  });
+  remaining.forEach(state => {
+    if (!eliminationOrder.includes(state)) eliminationOrder.push(state);
+  });
+
+  const steps = [new EliminationStep(null, snapshot())];
+
+  eliminationOrder.forEach(state => {
+    const position = remaining.indexOf(state);
+    if (position === -1) return;
+
+    remaining.splice(position, 1);
+    const loop = regexStar(getEdge(state, state));
+    const sources = [start, ...remaining];
+    const targets = [...remaining, end];
+
+    sources.forEach(from => {
+      const into = getEdge(from, state);
+      if (into.type === 'empty') return;
+
+      targets.forEach(to => {
+        const out = getEdge(state, to);
+        if (out.type !== 'empty') addEdge(from, to, regexConcat(into, loop, out));
+      });
+    });
+
+    edges.delete(state);
+    edges.forEach(row => row.delete(state));
+
+    steps.push(new EliminationStep(state, snapshot()));
+  });
+
+  return { regex: regexToString(getEdge(start, end)), steps };
+}
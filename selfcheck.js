@@ -0,0 +1,178 @@
+/**
+ * Largest number of strings checked exhaustively, whatever the length bound
+ * @type {number}
+ */
+const EXHAUSTIVE_WORD_LIMIT = 20000;
+
+/**
+ * Represents a string on which the machines of the conversion disagree
+ */
+class SelfCheckMismatch {
+  /**
+   * Creates a new SelfCheckMismatch
+   * @param {string[]} word - The offending string, as symbols
+   * @param {Object<string, boolean>} verdicts - Whether each machine accepts it, by machine name
+   */
+  constructor(word, verdicts) {
+    this.word = word;
+    this.verdicts = verdicts;
+  }
+}
+
+/**
+ * Represents the outcome of cross-validating the NFA, DFA and minimized DFA
+ */
+class SelfCheckReport {
+  /**
+   * Creates a new SelfCheckReport
+   * @param {number} checked - Number of strings run through every machine
+   * @param {SelfCheckMismatch[]} mismatches - Strings the machines disagree on
+   * @param {string[]} problems - Broken structural invariants
+   */
+  constructor(checked, mismatches, problems) {
+    this.checked = checked;
+    this.mismatches = mismatches;
+    this.problems = problems;
+  }
+
+  /**
+   * Whether every check passed
+   * @type {boolean}
+   */
+  get passed() {
+    return this.mismatches.length === 0 && this.problems.length === 0;
+  }
+}
+
+/**
+ * Lists every string over the alphabet in shortlex order, up to a length
+ * bound and at most a number of strings
+ * @param {string[]} alphabet - Input symbols
+ * @param {number} maxLength - Longest length listed
+ * @param {number} limit - Largest number of strings listed
+ * @returns {string[][]} Strings as arrays of symbols
+ */
+function exhaustiveWords(alphabet, maxLength, limit = EXHAUSTIVE_WORD_LIMIT) {
+  const words = [[]];
+  let previous = [[]];
+
+  for (let length = 1; length <= maxLength && words.length < limit; length++) {
+    const current = [];
+    for (const word of previous) {
+      for (const symbol of alphabet) {
+        if (words.length >= limit) return words;
+        const longer = [...word, symbol];
+        current.push(longer);
+        words.push(longer);
+      }
+    }
+    previous = current;
+  }
+
+  return words;
+}
+
+/**
+ * Draws random strings over the alphabet
+ * @param {string[]} alphabet - Input symbols
+ * @param {number} count - Number of strings drawn
+ * @param {number} maxLength - Longest length drawn
+ * @param {function(): number} random - Source of numbers in [0, 1)
+ * @returns {string[][]} Strings as arrays of symbols
+ */
+function randomWords(alphabet, count, maxLength, random = Math.random) {
+  const words = [];
+  if (alphabet.length === 0) return words;
+
+  for (let i = 0; i < count; i++) {
+    const length = Math.floor(random() * (maxLength + 1));
+    words.push(Array.from({ length }, () => alphabet[Math.floor(random() * alphabet.length)]));
+  }
+
+  return words;
+}
+
+/**
+ * Checks the structural invariants of a DFA: the initial state, the source
+ * and targets of every transition and every final state belong to its
+ * states, and every state has exactly one target per symbol
+ * @param {NFA} dfa - The DFA to check
+ * @param {string} name - Name of the DFA in the messages
+ * @returns {string[]} Broken invariants
+ */
+function checkDFAStructure(dfa, name) {
+  const problems = [];
+  const states = new Set(dfa.states);
+  const formatted = new Set(dfa.states.map(s => dfa.formatDotState(s)));
+
+  if (!states.has(dfa.initialState)) {
+    problems.push(`${name}: the initial state ${dfa.initialState} is not one of its states.`);
+  }
+
+  dfa.finalStates
+    .filter(fs => !states.has(fs) && !formatted.has(fs))
+    .forEach(fs => problems.push(`${name}: the final state ${fs} is not one of its states.`));
+
+  const targets = new Map();
+  dfa.transitions.forEach(t => {
+    if (!states.has(t.state)) {
+      problems.push(`${name}: a transition leaves ${t.state}, which is not one of its states.`);
+    }
+    if (!dfa.alphabet.includes(t.symbol)) {
+      problems.push(`${name}: the transition from ${t.state} on ${t.symbol} is not on an alphabet symbol.`);
+    }
+    t.nextStates
+      .filter(ns => !states.has(ns))
+      .forEach(ns => problems.push(`${name}: a transition from ${t.state} targets ${ns}, which is not one of its states.`));
+
+    const key = JSON.stringify([t.state, t.symbol]);
+    targets.set(key, (targets.get(key) || 0) + t.nextStates.length);
+  });
+
+  dfa.states.forEach(state => {
+    dfa.alphabet.forEach(symbol => {
+      const count = targets.get(JSON.stringify([state, symbol])) || 0;
+      if (count === 0) {
+        problems.push(`${name} is not complete: ${state} has no transition on ${symbol}.`);
+      } else if (count > 1) {
+        problems.push(`${name} is not deterministic: ${state} has ${count} transitions on ${symbol}.`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Cross-validates a conversion: checks the structure of both DFAs, then runs
+ * every string up to a length bound and a batch of longer random strings
+ * through the NFA and both DFAs and collects the strings they disagree on
+ * @param {Object<string, NFA>} automata - The machines to compare by name, the NFA first
+ * @param {number} maxLength - Longest length checked exhaustively
+ * @param {number} randomCount - Number of random strings checked
+ * @param {number} randomMaxLength - Longest random string
+ * @returns {SelfCheckReport} The strings checked, the disagreements and the broken invariants
+ */
+function selfCheck(automata, maxLength = 6, randomCount = 200, randomMaxLength = 20) {
+  const [[, nfa], ...dfas] = Object.entries(automata);
+  const problems = [];
+  dfas.forEach(([name, dfa]) => problems.push(...checkDFAStructure(dfa, name)));
+
+  const words = exhaustiveWords(nfa.alphabet, maxLength)
+    .concat(randomWords(nfa.alphabet, randomCount, randomMaxLength));
+  const mismatches = [];
+
+  words.forEach(word => {
+    const verdicts = {};
+    Object.entries(automata).forEach(([name, automaton]) => {
+      verdicts[name] = simulateWord(automaton, word).accepted;
+    });
+
+    const values = Object.values(verdicts);
+    if (values.some(v => v !== values[0])) {
+      mismatches.push(new SelfCheckMismatch(word, verdicts));
+    }
+  });
+
+  return new SelfCheckReport(words.length, mismatches, problems);
+}
@@ -0,0 +1,88 @@
+/**
+ * Current version of the saved automaton format
+ * @type {number}
+ */
+const AUTOMATON_SCHEMA_VERSION = 1;
+
+/**
+ * Prefix of the URL hash that carries an encoded automaton
+ * @type {string}
+ */
+const PERMALINK_HASH_PREFIX = '#nfa=';
+
+/**
+ * Saved automaton, as written to .json files and permalinks
+ * @typedef {Object} AutomatonDocument
+ * @property {number} version - Schema version the document was written with
+ * @property {string} initialState - The initial state
+ * @property {string[]} finalStates - Array of final/accepting states
+ * @property {string[]} states - Array of all states
+ * @property {string[]} alphabet - Array of input symbols
+ * @property {{state: string, nextStates: string[], symbol: string}[]} transitions - Array of transitions
+ */
+
+/**
+ * Converts an automaton to a versioned document
+ * @param {NFA} automaton - The automaton to save
+ * @returns {AutomatonDocument} Document ready for JSON.stringify
+ */
+function serializeAutomaton(automaton) {
+  return { version: AUTOMATON_SCHEMA_VERSION, ...automaton.toJSON() };
+}
+
+/**
+ * Reads an automaton back from a versioned document
+ * @param {AutomatonDocument} data - Parsed document
+ * @returns {NFA} The saved automaton
+ */
+function deserializeAutomaton(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Expected the automaton to be a JSON object');
+  }
+
+  if (typeof data.version !== 'number') {
+    throw new Error('Missing automaton format version');
+  }
+
+  if (data.version > AUTOMATON_SCHEMA_VERSION) {
+    throw new Error(`Automaton format version ${data.version} is newer than this tool supports`);
+  }
+
+  if (typeof data.initialState !== 'string' || !Array.isArray(data.finalStates)) {
+    throw new Error('Expected an initialState string and a finalStates array');
+  }
+
+  return NFA.fromJSON(data);
+}
+
+/**
+ * Encodes an automaton into a URL hash
+ * @param {NFA} automaton - The automaton to encode
+ * @returns {string} Hash starting with PERMALINK_HASH_PREFIX
+ */
+function encodeAutomatonHash(automaton) {
+  const bytes = new TextEncoder().encode(JSON.stringify(serializeAutomaton(automaton)));
+  let binary = '';
+  bytes.forEach(b => {
+    binary += String.fromCharCode(b);
+  });
+
+  // base64url, so the hash needs no further escaping
+  const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return PERMALINK_HASH_PREFIX + encoded;
+}
+
+/**
+ * Decodes an automaton from a URL hash
+ * @param {string} hash - URL hash produced by encodeAutomatonHash()
+ * @returns {NFA|null} The encoded automaton, or null if the hash carries none
+ */
+function decodeAutomatonHash(hash) {
+  if (!hash || !hash.startsWith(PERMALINK_HASH_PREFIX)) return null;
+
+  const encoded = hash.slice(PERMALINK_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(encoded);
+  const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+
+  return deserializeAutomaton(JSON.parse(new TextDecoder().decode(bytes)));
+}
@@ -0,0 +1,86 @@
+/**
+ * Represents the result of running a word through an automaton
+ */
+class SimulationResult {
+  /**
+   * Creates a new SimulationResult
+   * @param {string[]} symbols - The tokenized input word
+   * @param {string[][]} trace - Active state set before the first symbol and after each symbol
+   * @param {boolean} accepted - Whether the last active set contains a final state
+   */
+  constructor(symbols, trace, accepted) {
+    this.symbols = symbols;
+    this.trace = trace;
+    this.accepted = accepted;
+  }
+}
+
+/**
+ * Splits an input word into alphabet symbols, preferring the longest match
+ * so multi-character symbols are read as a single step
+ * @param {string} word - The input word
+ * @param {string[]} alphabet - Array of input symbols
+ * @returns {string[]} Array of symbols
+ */
+function tokenizeWord(word, alphabet) {
+  const symbols = [];
+  const byLength = alphabet.slice().sort((a, b) => b.length - a.length);
+  let i = 0;
+
+  while (i < word.length) {
+    const match = byLength.find(symbol => symbol.length > 0 && word.startsWith(symbol, i));
+    const symbol = match || word[i];
+    symbols.push(symbol);
+    i += symbol.length;
+  }
+
+  return symbols;
+}
+
+/**
+ * Computes the union of the epsilon closures of a set of states
+ * @param {string[]} states - Input states
+ * @param {Transition[]} transitions - Automaton transitions
+ * @returns {string[]} Sorted closure states
+ */
+function closeStates(states, transitions) {
+  const closed = [];
+
+  states.forEach(state => {
+    fetch_E_Closure(state, transitions).forEach(s => {
+      if (!closed.includes(s)) closed.push(s);
+    });
+  });
+
+  return closed.sort();
+}
+
+/**
+ * Runs a word through an NFA or DFA, following lambda-closures after every
+ * step. A DFA has no lambda transitions, so its closures are the states
+ * themselves and the trace holds at most one state per step.
+ * @param {NFA} automaton - The automaton to run
+ * @param {string|string[]} word - The input word, or its symbols already split
+ * @returns {SimulationResult} Verdict and per-symbol trace
+ */
+function simulateWord(automaton, word) {
+  const symbols = Array.isArray(word) ? word.slice() : tokenizeWord(word, automaton.alphabet);
+  let activeStates = closeStates([automaton.initialState], automaton.transitions);
+  const trace = [activeStates];
+
+  symbols.forEach(symbol => {
+    const nextStates = [];
+
+    activeStates.forEach(state => {
+      findNextStates(state, symbol, automaton.transitions).forEach(ns => {
+        if (!nextStates.includes(ns)) nextStates.push(ns);
+      });
+    });
+
+    activeStates = closeStates(nextStates, automaton.transitions);
+    trace.push(activeStates);
+  });
+
+  const accepted = activeStates.some(state => isFinalState(automaton, state));
+  return new SimulationResult(symbols, trace, accepted);
+}
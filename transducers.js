@@ -0,0 +1,221 @@
+/**
+ * Represents the run of a word through a Mealy or Moore machine
+ */
+class TransducerRun {
+  /**
+   * Creates a new TransducerRun
+   * @param {string[]} symbols - The tokenized input word
+   * @param {string[]} trace - State before the first symbol and after each symbol
+   * @param {string[]} outputs - The output tape. A Moore machine writes the output of its initial state first.
+   */
+  constructor(symbols, trace, outputs) {
+    this.symbols = symbols;
+    this.trace = trace;
+    this.outputs = outputs;
+  }
+}
+
+/**
+ * Checks that a Mealy or Moore machine can be run: no lambda transitions,
+ * at most one transition per state and symbol, and an output on every
+ * transition of a Mealy machine or every state of a Moore machine
+ * @param {NFA} machine - The transducer
+ * @returns {string[]} Problems found
+ */
+function checkTransducer(machine) {
+  const problems = [];
+  const index = indexTransitions(machine.transitions);
+  const mealy = machine.machineType === 'mealy';
+
+  machine.states.forEach(state => {
+    if (index.next(state, '\u03BB').length > 0) {
+      problems.push(`${state} has a \u03BB-transition, which a transducer cannot have.`);
+    }
+
+    if (!mealy && !(state in machine.stateOutputs)) {
+      problems.push(`${state} has no output.`);
+    }
+
+    machine.alphabet.forEach(symbol => {
+      const transitions = index.transitionsFrom(state, symbol);
+      const targets = index.next(state, symbol);
+
+      if (targets.length > 1) {
+        problems.push(`${state} has ${targets.length} transitions on ${symbol}.`);
+      }
+      if (mealy && transitions.some(t => t.output === null)) {
+        problems.push(`The transition from ${state} on ${symbol} has no output.`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Runs a word through a Mealy or Moore machine and collects the output tape
+ * @param {NFA} machine - The transducer, deterministic
+ * @param {string|string[]} word - The input word, or its symbols already split
+ * @returns {TransducerRun} The visited states and the output tape
+ */
+function runTransducer(machine, word) {
+  const symbols = Array.isArray(word) ? word.slice() : tokenizeWord(word, machine.alphabet);
+  const index = indexTransitions(machine.transitions);
+  const moore = machine.machineType === 'moore';
+
+  let state = machine.initialState;
+  const trace = [state];
+  const outputs = moore ? [machine.stateOutputs[state]] : [];
+
+  symbols.forEach(symbol => {
+    const transition = index.transitionsFrom(state, symbol)[0];
+    if (!transition || transition.nextStates.length === 0) {
+      throw new Error(`${state} has no transition on ${symbol}`);
+    }
+
+    state = transition.nextStates[0];
+    trace.push(state);
+    outputs.push(moore ? machine.stateOutputs[state] : transition.output);
+  });
+
+  return new TransducerRun(symbols, trace, outputs);
+}
+
+/**
+ * Converts a Mealy machine into a Moore machine. Every pair of a state and
+ * an output written on the way into it becomes a state, named like q1_0,
+ * with primes added when that name is taken, that writes that output. Only
+ * the pairs reachable from the initial state are built. The initial state writes the first output symbol, which has
+ * no counterpart in the Mealy machine.
+ * @param {NFA} mealy - The Mealy machine, deterministic
+ * @returns {NFA} Equivalent Moore machine
+ */
+function mealyToMoore(mealy) {
+  const index = indexTransitions(mealy.transitions);
+  const startOutput = mealy.outputAlphabet.length > 0 ? mealy.outputAlphabet[0] : '';
+
+  const pairs = [];
+  const names = [];
+  const nameOf = new Map();
+  const stateOutputs = {};
+  const transitions = [];
+
+  // Names a pair, adding it to the pairs to build the first time it is
+  // seen. State names and outputs may contain _, so pairs are told apart by
+  // their JSON key.
+  const visit = (state, output) => {
+    const key = JSON.stringify([state, output]);
+    if (!nameOf.has(key)) {
+      let name = `${state}_${output}`;
+      while (name in stateOutputs) name += "'";
+
+      nameOf.set(key, name);
+      pairs.push([state, output]);
+      names.push(name);
+      stateOutputs[name] = output;
+    }
+    return nameOf.get(key);
+  };
+
+  visit(mealy.initialState, startOutput);
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [state] = pairs[i];
+
+    mealy.alphabet.forEach(symbol => {
+      const transition = index.transitionsFrom(state, symbol)[0];
+      if (!transition || transition.nextStates.length === 0) return;
+
+      const output = transition.output === null ? '' : transition.output;
+      transitions.push(new Transition(names[i], [visit(transition.nextStates[0], output)], symbol));
+    });
+  }
+
+  return new NFA(names[0], [], names, mealy.alphabet, transitions, mealy.outputAlphabet, stateOutputs);
+}
+
+/**
+ * Converts a Moore machine into a Mealy machine: every transition writes
+ * the output of the state it enters
+ * @param {NFA} moore - The Moore machine
+ * @returns {NFA} Equivalent Mealy machine, without the output of the initial state
+ */
+function mooreToMealy(moore) {
+  const transitions = moore.transitions.map(t => {
+    const next = t.nextStates[0];
+    return new Transition(t.state, t.nextStates.slice(), t.symbol, next in moore.stateOutputs ? moore.stateOutputs[next] : '');
+  });
+
+  return new NFA(moore.initialState, [], moore.states, moore.alphabet, transitions, moore.outputAlphabet);
+}
+
+/**
+ * Minimizes a Moore machine: unreachable states are dropped, then states
+ * are split by their output and refined until every block moves to the
+ * same blocks on every symbol
+ * @param {NFA} moore - The Moore machine, deterministic
+ * @returns {NFA} Moore machine with the fewest states writing the same outputs
+ */
+function minimizeMoore(moore) {
+  const index = indexTransitions(moore.transitions);
+  const target = (state, symbol) => {
+    const nextStates = index.next(state, symbol);
+    return nextStates.length > 0 ? nextStates[0] : null;
+  };
+
+  const states = [moore.initialState];
+  for (let i = 0; i < states.length; i++) {
+    index.successors(states[i]).forEach(s => {
+      if (!states.includes(s)) states.push(s);
+    });
+  }
+
+  // Block of every state, refined until the number of blocks stops growing
+  let blockOf = new Map();
+  const split = signature => {
+    const blocks = new Map();
+    states.forEach(state => {
+      const key = JSON.stringify(signature(state));
+      if (!blocks.has(key)) blocks.set(key, blocks.size);
+      blockOf.set(state, blocks.get(key));
+    });
+    return blocks.size;
+  };
+
+  let blockCount = split(state => [moore.stateOutputs[state]]);
+  for (;;) {
+    const previous = new Map(blockOf);
+    blockOf = new Map();
+    const count = split(state => [
+      previous.get(state),
+      ...moore.alphabet.map(symbol => {
+        const next = target(state, symbol);
+        return next === null ? -1 : previous.get(next);
+      })
+    ]);
+    if (count === blockCount) break;
+    blockCount = count;
+  }
+
+  const representative = new Map();
+  states.forEach(state => {
+    if (!representative.has(blockOf.get(state)) || state === moore.initialState) {
+      representative.set(blockOf.get(state), state);
+    }
+  });
+  const rename = state => representative.get(blockOf.get(state));
+
+  const kept = states.filter(state => rename(state) === state);
+  const transitions = [];
+  const stateOutputs = {};
+
+  kept.forEach(state => {
+    stateOutputs[state] = moore.stateOutputs[state];
+    moore.alphabet.forEach(symbol => {
+      const next = target(state, symbol);
+      if (next !== null) transitions.push(new Transition(state, [rename(next)], symbol));
+    });
+  });
+
+  return new NFA(moore.initialState, [], kept, moore.alphabet, transitions, moore.outputAlphabet, stateOutputs);
+}
@@ -0,0 +1,20 @@
+/**
+ * Web Worker converting an NFA to a minimized DFA off the UI thread.
+ *
+ * Receives { id, nfa, inlineClosure, maxStates }, the NFA as produced by
+ * NFA.toJSON(), and answers { id, construction, minDFA } or { id, error }.
+ */
+importScripts('engine.js');
+
+self.onmessage = (event) => {
+  const { id, nfa, inlineClosure, maxStates } = event.data;
+
+  try {
+    const construction = new SubsetConstruction(NFA.fromJSON(nfa), inlineClosure, maxStates).run();
+    const minDFA = minimizeDFA(construction.toDFA());
+
+    self.postMessage({ id, construction: construction.toJSON(), minDFA });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,255 @@
+/**
+ * Key of the saved workspace in localStorage
+ * @type {string}
+ */
+const WORKSPACE_STORAGE_KEY = 'nfa-to-dfa-workspace';
+
+/**
+ * Number of edits each automaton can undo
+ * @type {number}
+ */
+const UNDO_LIMIT = 100;
+
+/**
+ * Contents of the input form, as kept in the workspace and its history
+ * @typedef {Object} FormSnapshot
+ * @property {string} initialState - The typed initial state
+ * @property {string[]} finalStates - The typed final states
+ * @property {TransitionRow[]} rows - The typed transition rows, empty ones included
+ * @property {string[]} extraStates - States added on the graph that have no transitions yet
+ * @property {string} machineType - 'acceptor', 'mealy' or 'moore'
+ * @property {Object<string, string>} stateOutputs - The typed Moore outputs
+ */
+
+/**
+ * Creates the snapshot of an empty form: no states and a single blank row
+ * @returns {FormSnapshot} Empty snapshot
+ */
+function emptySnapshot() {
+  return {
+    initialState: '',
+    finalStates: [],
+    rows: [{ state: '', symbol: '', nextStates: [] }],
+    extraStates: [],
+    machineType: 'acceptor',
+    stateOutputs: {}
+  };
+}
+
+/**
+ * Undo and redo history of the snapshots of one automaton
+ */
+class EditHistory {
+  /**
+   * Creates a new EditHistory
+   * @param {FormSnapshot} snapshot - The current snapshot
+   * @param {number} limit - Number of snapshots kept for undo
+   */
+  constructor(snapshot, limit = UNDO_LIMIT) {
+    this.past = [];
+    this.present = snapshot;
+    this.future = [];
+    this.limit = limit;
+  }
+
+  /**
+   * Records a new snapshot, unless it is the same as the current one. Any
+   * undone snapshots are dropped.
+   * @param {FormSnapshot} snapshot - The new snapshot
+   * @returns {boolean} True if the snapshot was recorded
+   */
+  record(snapshot) {
+    if (JSON.stringify(snapshot) === JSON.stringify(this.present)) return false;
+
+    this.past.push(this.present);
+    if (this.past.length > this.limit) this.past.shift();
+    this.present = snapshot;
+    this.future = [];
+    return true;
+  }
+
+  /**
+   * Whether there is a snapshot to go back to
+   * @type {boolean}
+   */
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  /**
+   * Whether there is an undone snapshot to go forward to
+   * @type {boolean}
+   */
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * Goes back to the previous snapshot
+   * @returns {FormSnapshot|null} The snapshot to restore, or null if there is none
+   */
+  undo() {
+    if (!this.canUndo) return null;
+
+    this.future.push(this.present);
+    this.present = this.past.pop();
+    return this.present;
+  }
+
+  /**
+   * Goes forward to the last undone snapshot
+   * @returns {FormSnapshot|null} The snapshot to restore, or null if there is none
+   */
+  redo() {
+    if (!this.canRedo) return null;
+
+    this.past.push(this.present);
+    this.present = this.future.pop();
+    return this.present;
+  }
+}
+
+/**
+ * Represents a named automaton of the workspace, with its own history
+ */
+class WorkspaceTab {
+  /**
+   * Creates a new WorkspaceTab
+   * @param {string} name - Name shown on the tab
+   * @param {FormSnapshot} snapshot - Contents of the form
+   */
+  constructor(name, snapshot = emptySnapshot()) {
+    this.name = name;
+    this.history = new EditHistory(snapshot);
+  }
+
+  /**
+   * Current contents of the form
+   * @type {FormSnapshot}
+   */
+  get snapshot() {
+    return this.history.present;
+  }
+}
+
+/**
+ * Represents the automata open in the page, one of them being edited
+ */
+class Workspace {
+  /**
+   * Creates a new Workspace
+   * @param {WorkspaceTab[]} tabs - The open automata
+   * @param {number} active - Index of the automaton being edited
+   */
+  constructor(tabs = [new WorkspaceTab('Automaton 1')], active = 0) {
+    this.tabs = tabs;
+    this.active = Math.min(Math.max(active, 0), tabs.length - 1);
+  }
+
+  /**
+   * The automaton being edited
+   * @type {WorkspaceTab}
+   */
+  get activeTab() {
+    return this.tabs[this.active];
+  }
+
+  /**
+   * Finds a name no open automaton uses yet
+   * @returns {string} Name like "Automaton 2"
+   */
+  nextTabName() {
+    const names = new Set(this.tabs.map(tab => tab.name));
+    let n = this.tabs.length + 1;
+    while (names.has(`Automaton ${n}`)) n++;
+    return `Automaton ${n}`;
+  }
+
+  /**
+   * Opens a new automaton and makes it the active one
+   * @param {string} name - Name shown on the tab
+   * @param {FormSnapshot} snapshot - Contents of the form
+   * @returns {WorkspaceTab} The new tab
+   */
+  addTab(name = this.nextTabName(), snapshot = emptySnapshot()) {
+    const tab = new WorkspaceTab(name, snapshot);
+    this.tabs.push(tab);
+    this.active = this.tabs.length - 1;
+    return tab;
+  }
+
+  /**
+   * Closes an automaton. The last one cannot be closed.
+   * @param {number} index - Index of the tab to close
+   */
+  closeTab(index) {
+    if (this.tabs.length <= 1) {
+      throw new Error('The last automaton cannot be closed');
+    }
+
+    this.tabs.splice(index, 1);
+    if (this.active > index || this.active === this.tabs.length) this.active--;
+  }
+
+  /**
+   * Converts the workspace to a plain object for JSON.stringify. Histories
+   * are not saved.
+   * @returns {Object} Plain object with the active index and the tabs
+   */
+  toJSON() {
+    return {
+      active: this.active,
+      tabs: this.tabs.map(tab => ({ name: tab.name, snapshot: tab.snapshot }))
+    };
+  }
+
+  /**
+   * Creates a workspace from a plain object such as the output of toJSON()
+   * @param {Object} data - Plain object with the active index and the tabs
+   * @returns {Workspace} The parsed workspace
+   */
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.tabs) || data.tabs.length === 0) {
+      throw new Error('Expected a workspace with at least one automaton');
+    }
+
+    const tabs = data.tabs.map(({ name, snapshot }) => {
+      if (typeof name !== 'string' || !snapshot || !Array.isArray(snapshot.rows)) {
+        throw new Error('Expected every automaton to have a name and transition rows');
+      }
+      return new WorkspaceTab(name, { ...emptySnapshot(), ...snapshot });
+    });
+
+    return new Workspace(tabs, Number(data.active) || 0);
+  }
+}
+
+/**
+ * Saves the workspace. Storage can be unavailable or full, in which case
+ * the workspace is simply not saved.
+ * @param {Workspace} workspace - The workspace to save
+ * @param {Storage} storage - Where to save it, usually localStorage
+ * @returns {boolean} True if the workspace was saved
+ */
+function saveWorkspace(workspace, storage) {
+  try {
+    storage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify(workspace));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Loads the saved workspace
+ * @param {Storage} storage - Where it was saved, usually localStorage
+ * @returns {Workspace|null} The saved workspace, or null if there is none or it cannot be read
+ */
+function loadWorkspace(storage) {
+  try {
+    const saved = storage.getItem(WORKSPACE_STORAGE_KEY);
+    return saved ? Workspace.fromJSON(JSON.parse(saved)) : null;
+  } catch (err) {
+    return null;
+  }
+}